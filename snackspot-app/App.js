@@ -9,6 +9,7 @@ import { SafeAreaProvider } from 'react-native-safe-area-context';
 // Context Providers
 import { AuthProvider } from './src/context/AuthContext';
 import { CartProvider } from './src/context/CartContext';
+import { FavoritesProvider } from './src/context/FavoritesContext';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
 
 // Navigation
@@ -38,9 +39,11 @@ export default function App() {
       <SafeAreaProvider>
         <ThemeProvider>
           <AuthProvider>
-            <CartProvider>
-              <AppContent />
-            </CartProvider>
+            <FavoritesProvider>
+              <CartProvider>
+                <AppContent />
+              </CartProvider>
+            </FavoritesProvider>
           </AuthProvider>
         </ThemeProvider>
       </SafeAreaProvider>
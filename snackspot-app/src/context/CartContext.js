@@ -3,7 +3,7 @@
 
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { SERVICE_FEE } from '../utils/constants';
+import { ordersAPI } from '../services/api';
 
 // Storage key
 const CART_KEY = '@snackspot_cart';
@@ -11,6 +11,16 @@ const CART_KEY = '@snackspot_cart';
 // Create context
 const CartContext = createContext(null);
 
+/**
+ * Flatten cart options into a list of chosen options
+ * Options are keyed by modifier group ID; a value is one option or an array of options
+ * @param {Object} options - Cart line options
+ * @returns {Array} Chosen options ({ id, name, priceDelta })
+ */
+const flattenOptions = (options = {}) => {
+    return Object.values(options).flatMap((value) => (Array.isArray(value) ? value : [value]));
+};
+
 /**
  * CartProvider component that wraps the app and provides cart state
  */
@@ -19,6 +29,9 @@ export const CartProvider = ({ children }) => {
     const [items, setItems] = useState([]);
     const [restaurant, setRestaurant] = useState(null); // Current restaurant
     const [isLoading, setIsLoading] = useState(true);
+    const [quote, setQuote] = useState(null); // Server price of the current cart
+    const [couponCode, setCouponCode] = useState(null); // Promo code accepted for the current cart
+    const [pointsToRedeem, setPointsToRedeem] = useState(0); // Loyalty points to spend on the order
 
     /**
      * Load stored cart data on app start
@@ -42,6 +55,13 @@ export const CartProvider = ({ children }) => {
         loadStoredCart();
     }, []);
 
+    /**
+     * A quote only holds for the cart it was made for
+     */
+    useEffect(() => {
+        setQuote(null);
+    }, [items]);
+
     /**
      * Save cart to storage
      */
@@ -61,7 +81,7 @@ export const CartProvider = ({ children }) => {
      * @param {Object} item - Item to add
      * @param {number} quantity - Quantity to add
      * @param {Object} newRestaurant - Restaurant the item belongs to
-     * @param {Object} options - Selected options/customizations
+     * @param {Object} options - Selected options, keyed by modifier group ID
      */
     const addToCart = useCallback(async (item, quantity = 1, newRestaurant, options = {}) => {
         setItems((currentItems) => {
@@ -190,6 +210,8 @@ export const CartProvider = ({ children }) => {
     const clearCart = useCallback(async () => {
         setItems([]);
         setRestaurant(null);
+        setCouponCode(null);
+        setPointsToRedeem(0);
         try {
             await AsyncStorage.removeItem(CART_KEY);
         } catch (error) {
@@ -204,29 +226,122 @@ export const CartProvider = ({ children }) => {
     const getSubtotal = useCallback(() => {
         return items.reduce((total, item) => {
             const itemPrice = item.price || 0;
-            const optionsPrice = Object.values(item.options || {}).reduce(
-                (sum, option) => sum + (option.price || 0),
+            const optionsPrice = flattenOptions(item.options).reduce(
+                (sum, option) => sum + (option.priceDelta ?? option.price ?? 0),
                 0
             );
-            return total + (itemPrice + optionsPrice) * item.quantity;
+            // Same floor as the server: options never make an item cost less than nothing
+            return total + Math.max(0, itemPrice + optionsPrice) * item.quantity;
         }, 0);
     }, [items]);
 
     /**
-     * Get service fee
+     * Build the order lines sent to the API
+     * The server re-validates and prices the selected options
+     * @returns {Array} [{ menuItemId, quantity, options: { groupId: [optionId] } }]
+     */
+    const getOrderItems = useCallback(() => {
+        return items.map((item) => ({
+            menuItemId: item.id,
+            quantity: item.quantity,
+            options: Object.fromEntries(
+                Object.entries(item.options || {}).map(([groupId, value]) => [
+                    groupId,
+                    flattenOptions({ [groupId]: value }).map((option) => option.id),
+                ])
+            ),
+        }));
+    }, [items]);
+
+    /**
+     * Build the body shared by the quote and the order
+     * @param {Object|null} delivery - { latitude, longitude } for delivery, null for pickup
+     * @returns {Object} Request body
+     */
+    const buildOrderRequest = useCallback((delivery) => ({
+        placeId: restaurant?.id,
+        items: getOrderItems(),
+        ...(delivery && {
+            deliveryLatitude: delivery.latitude,
+            deliveryLongitude: delivery.longitude,
+        }),
+        ...(couponCode && { couponCode }),
+        ...(pointsToRedeem > 0 && { pointsToRedeem }),
+    }), [restaurant, getOrderItems, couponCode, pointsToRedeem]);
+
+    /**
+     * Ask the server to price the cart (fees, delivery and tax are only known there)
+     * @param {Object|null} delivery - { latitude, longitude } for delivery, null for pickup
+     * @returns {Promise<Object>} Quote
+     */
+    const fetchQuote = useCallback(async (delivery = null) => {
+        const response = await ordersAPI.quote(buildOrderRequest(delivery));
+        setQuote(response.data.data);
+        return response.data.data;
+    }, [buildOrderRequest]);
+
+    /**
+     * Check a promo code against the cart and keep it for the quote and the order
+     * Rejects with the server's reason when the code does not apply
+     * @param {string} code - Promo code
+     * @param {Object|null} delivery - { latitude, longitude } for delivery, null for pickup
+     * @returns {Promise<Object>} { code, description, discount, quote }
+     */
+    const applyCoupon = useCallback(async (code, delivery = null) => {
+        const response = await ordersAPI.validateCoupon({ ...buildOrderRequest(delivery), couponCode: code });
+        const result = response.data.data;
+        setCouponCode(result.code);
+        setQuote(result.quote);
+        return result;
+    }, [buildOrderRequest]);
+
+    /**
+     * Drop the promo code (fetch a new quote afterwards)
+     */
+    const removeCoupon = useCallback(() => {
+        setCouponCode(null);
+        setQuote(null);
+    }, []);
+
+    /**
+     * Place the order at the quoted total
+     * If prices changed since the quote, the new quote is stored and the error is rethrown (status 409)
+     * @param {Object} checkout - { delivery, deliveryAddress, notes }
+     * @returns {Promise<Object>} Created order
+     */
+    const placeOrder = useCallback(async ({ delivery = null, deliveryAddress, notes } = {}) => {
+        try {
+            const response = await ordersAPI.create({
+                ...buildOrderRequest(delivery),
+                deliveryAddress: delivery ? deliveryAddress : undefined,
+                notes: notes || undefined,
+                expectedTotal: quote?.total,
+            });
+            return response.data.data;
+        } catch (error) {
+            const newQuote = error.data?.details?.quote;
+            if (error.status === 409 && newQuote) {
+                setQuote(newQuote);
+            }
+            throw error;
+        }
+    }, [buildOrderRequest, quote]);
+
+    /**
+     * Get service fee from the current quote
      * @returns {number} Service fee amount
      */
     const getServiceFee = useCallback(() => {
-        return items.length > 0 ? SERVICE_FEE : 0;
-    }, [items]);
+        return quote?.serviceFee ?? 0;
+    }, [quote]);
 
     /**
-     * Calculate total (including fees)
+     * Get the total to pay: the quoted total, or the subtotal until a quote is fetched
      * @returns {number} Total amount
      */
     const getTotal = useCallback(() => {
-        return getSubtotal() + getServiceFee();
-    }, [getSubtotal, getServiceFee]);
+        return quote?.total ?? getSubtotal();
+    }, [quote, getSubtotal]);
 
     /**
      * Get total number of items in cart
@@ -259,6 +374,9 @@ export const CartProvider = ({ children }) => {
         items,
         restaurant,
         isLoading,
+        quote,
+        couponCode,
+        pointsToRedeem,
 
         // Actions
         addToCart,
@@ -267,12 +385,18 @@ export const CartProvider = ({ children }) => {
         incrementQuantity,
         decrementQuantity,
         clearCart,
+        fetchQuote,
+        applyCoupon,
+        removeCoupon,
+        setPointsToRedeem,
+        placeOrder,
 
         // Calculations
         getSubtotal,
         getServiceFee,
         getTotal,
         getItemCount,
+        getOrderItems,
 
         // Helpers
         isEmpty,
@@ -0,0 +1,187 @@
+// TAGHRA - Favorites Context
+// Saved places, kept on the device and synced with the account across devices
+
+import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { favoritesAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+
+// Storage key
+const FAVORITES_KEY = '@snackspot_favorites';
+
+// Create context
+const FavoritesContext = createContext(null);
+
+/**
+ * FavoritesProvider component, must be rendered inside AuthProvider
+ */
+export const FavoritesProvider = ({ children }) => {
+    const { isAuthenticated } = useAuth();
+
+    // State
+    const [favoriteIds, setFavoriteIds] = useState([]);
+    const [pendingIds, setPendingIds] = useState([]); // Added while logged out, not yet on the server
+    const [isLoading, setIsLoading] = useState(true);
+
+    /**
+     * Save favorites to storage
+     */
+    const saveFavorites = useCallback(async (ids, pending) => {
+        try {
+            await AsyncStorage.setItem(FAVORITES_KEY, JSON.stringify({ ids, pending }));
+        } catch (error) {
+            console.error('Error saving favorites:', error);
+        }
+    }, []);
+
+    /**
+     * Load stored favorites on app start
+     */
+    useEffect(() => {
+        const loadStoredFavorites = async () => {
+            try {
+                const stored = await AsyncStorage.getItem(FAVORITES_KEY);
+                if (stored) {
+                    const { ids, pending } = JSON.parse(stored);
+                    setFavoriteIds(ids || []);
+                    setPendingIds(pending || []);
+                }
+            } catch (error) {
+                console.error('Error loading favorites:', error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadStoredFavorites();
+    }, []);
+
+    /**
+     * Sync with the server: push favorites added offline, then take the account's list
+     * The account list wins so removals made on another device stick
+     */
+    const syncFavorites = useCallback(async () => {
+        if (!isAuthenticated) return;
+
+        try {
+            const response = await favoritesAPI.sync(pendingIds);
+            const ids = response.data.data.map((favorite) => favorite.placeId);
+            setFavoriteIds(ids);
+            setPendingIds([]);
+            saveFavorites(ids, []);
+        } catch (error) {
+            console.error('Error syncing favorites:', error);
+        }
+    }, [isAuthenticated, pendingIds, saveFavorites]);
+
+    /**
+     * Sync after loading and whenever the user logs in; clear on logout
+     */
+    useEffect(() => {
+        if (isLoading) return;
+
+        if (isAuthenticated) {
+            syncFavorites();
+        } else {
+            // Logged out: keep what was saved on this device, the rest belongs to the account
+            setFavoriteIds(pendingIds);
+            saveFavorites(pendingIds, pendingIds);
+        }
+    }, [isAuthenticated, isLoading]);
+
+    /**
+     * Check if a place is a favorite
+     * @param {string} placeId - Place ID
+     * @returns {boolean} Whether the place is saved
+     */
+    const isFavorite = useCallback((placeId) => {
+        return favoriteIds.includes(placeId);
+    }, [favoriteIds]);
+
+    /**
+     * Record a place's favorite state as reported by the server, without calling the API
+     * @param {string} placeId - Place ID
+     * @param {boolean} favorite - Whether the account has the place saved
+     */
+    const setFavorite = useCallback((placeId, favorite) => {
+        if (favoriteIds.includes(placeId) === favorite) return;
+
+        const ids = favorite
+            ? [placeId, ...favoriteIds]
+            : favoriteIds.filter((id) => id !== placeId);
+        setFavoriteIds(ids);
+        saveFavorites(ids, pendingIds);
+    }, [favoriteIds, pendingIds, saveFavorites]);
+
+    /**
+     * Add or remove a place from favorites
+     * Updates immediately and rolls back if the server rejects the change
+     * @param {string} placeId - Place ID
+     */
+    const toggleFavorite = useCallback(async (placeId) => {
+        const wasFavorite = favoriteIds.includes(placeId);
+        const ids = wasFavorite
+            ? favoriteIds.filter((id) => id !== placeId)
+            : [placeId, ...favoriteIds];
+
+        if (!isAuthenticated) {
+            const pending = wasFavorite
+                ? pendingIds.filter((id) => id !== placeId)
+                : [...pendingIds, placeId];
+            setFavoriteIds(ids);
+            setPendingIds(pending);
+            saveFavorites(ids, pending);
+            return;
+        }
+
+        setFavoriteIds(ids);
+        saveFavorites(ids, pendingIds);
+
+        try {
+            if (wasFavorite) {
+                await favoritesAPI.remove(placeId);
+            } else {
+                await favoritesAPI.add(placeId);
+            }
+        } catch (error) {
+            console.error('Error updating favorite:', error);
+            setFavoriteIds(favoriteIds);
+            saveFavorites(favoriteIds, pendingIds);
+        }
+    }, [favoriteIds, pendingIds, isAuthenticated, saveFavorites]);
+
+    // Context value
+    const value = {
+        // State
+        favoriteIds,
+        isLoading,
+
+        // Actions
+        toggleFavorite,
+        setFavorite,
+        syncFavorites,
+
+        // Helpers
+        isFavorite,
+    };
+
+    return (
+        <FavoritesContext.Provider value={value}>
+            {children}
+        </FavoritesContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to use favorites context
+ * @returns {Object} Favorites context value
+ */
+export const useFavorites = () => {
+    const context = useContext(FavoritesContext);
+    if (!context) {
+        throw new Error('useFavorites must be used within a FavoritesProvider');
+    }
+    return context;
+};
+
+export default FavoritesContext;
@@ -34,11 +34,9 @@ const styles = StyleSheet.create({
 // Export individual screens
 export const MenuScreen = (props) => <PlaceholderScreen {...props} title="Menu" />;
 export const CartScreen = (props) => <PlaceholderScreen {...props} title="Cart" />;
-export const CheckoutScreen = (props) => <PlaceholderScreen {...props} title="Checkout" />;
 export const BookingScreen = (props) => <PlaceholderScreen {...props} title="Book Appointment" />;
 export const AppointmentConfirmationScreen = (props) => <PlaceholderScreen {...props} title="Appointment Confirmed" />;
 export const AdministrationDetailScreen = (props) => <PlaceholderScreen {...props} title="Document Details" />;
-export const LeaderboardScreen = (props) => <PlaceholderScreen {...props} title="Leaderboard" />;
 export const SubDashboardScreen = (props) => <PlaceholderScreen {...props} title="Ambassador Dashboard" />;
 export const NotificationsScreen = (props) => <PlaceholderScreen {...props} title="Notifications" />;
 export const WriteReviewScreen = (props) => <PlaceholderScreen {...props} title="Write Review" />;
@@ -1 +1,252 @@
-export { CheckoutScreen as default } from '../PlaceholderScreens';
+// TAGHRA - Checkout Screen
+// Delivery or pickup, the server quote (fees, delivery, tax) and placing the order at that price
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert, ActivityIndicator, Switch } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../context/ThemeContext';
+import { useCart } from '../../context/CartContext';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import Card from '../../components/common/Card';
+import useLocation from '../../hooks/useLocation';
+import { formatCurrency } from '../../utils/helpers';
+
+const FULFILLMENTS = [
+    { id: 'delivery', label: 'Delivery', icon: 'bicycle-outline' },
+    { id: 'pickup', label: 'Pickup', icon: 'storefront-outline' },
+];
+
+const CheckoutScreen = ({ navigation }) => {
+    const { colors } = useTheme();
+    const { location, address } = useLocation();
+    const {
+        restaurant, quote, couponCode, pointsToRedeem, fetchQuote, applyCoupon, removeCoupon, setPointsToRedeem,
+        placeOrder, clearCart, isEmpty,
+    } = useCart();
+    const [fulfillment, setFulfillment] = useState('delivery');
+    const [deliveryAddress, setDeliveryAddress] = useState('');
+    const [notes, setNotes] = useState('');
+    const [promoCode, setPromoCode] = useState('');
+    const [quoting, setQuoting] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const delivery = fulfillment === 'delivery' && location
+        ? { latitude: location.latitude, longitude: location.longitude }
+        : null;
+
+    useEffect(() => {
+        if (!deliveryAddress && address?.formatted) setDeliveryAddress(address.formatted);
+    }, [address]);
+
+    /**
+     * Price the cart for the chosen fulfillment
+     */
+    const refreshQuote = async () => {
+        if (isEmpty() || (fulfillment === 'delivery' && !location)) return;
+
+        setQuoting(true);
+        try {
+            await fetchQuote(delivery);
+        } catch (error) {
+            Alert.alert('Error', error.message);
+        } finally {
+            setQuoting(false);
+        }
+    };
+
+    useEffect(() => {
+        refreshQuote();
+    }, [fulfillment, location?.latitude, location?.longitude, couponCode, pointsToRedeem]);
+
+    const handleApplyCoupon = async () => {
+        if (!promoCode.trim()) return;
+
+        setQuoting(true);
+        try {
+            const result = await applyCoupon(promoCode.trim(), delivery);
+            setPromoCode('');
+            Alert.alert('Promo code applied 🎉', `You save ${formatCurrency(result.discount)}.`);
+        } catch (error) {
+            Alert.alert('Promo code', error.message);
+        } finally {
+            setQuoting(false);
+        }
+    };
+
+    const handlePlaceOrder = async () => {
+        if (fulfillment === 'delivery' && !location) {
+            Alert.alert('Location Needed', 'Turn on location so we know where to deliver.');
+            return;
+        }
+        if (fulfillment === 'delivery' && !deliveryAddress) {
+            Alert.alert('Missing Fields', 'Please enter your delivery address.');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await placeOrder({ delivery, deliveryAddress, notes });
+            await clearCart();
+            Alert.alert('Order placed! 🎉', `${restaurant?.name} has received your order.`);
+            navigation.navigate('MyOrders');
+        } catch (error) {
+            const newQuote = error.data?.details?.quote;
+            if (error.status === 409 && newQuote) {
+                Alert.alert('Prices changed', `The new total is ${formatCurrency(newQuote.total)}. Please review your order.`);
+            } else {
+                Alert.alert('Error', error.message);
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const rows = quote ? [
+        { label: 'Subtotal', value: quote.subtotal },
+        ...(quote.discount > 0 ? [{ label: `Discount (${quote.coupon?.code})`, value: -quote.discount }] : []),
+        { label: 'Service fee', value: quote.serviceFee },
+        ...(quote.fulfillment === 'delivery' ? [{ label: 'Delivery fee', value: quote.deliveryFee }] : []),
+        { label: 'Tax', value: quote.tax },
+        ...(quote.pointsDiscount > 0 ? [{ label: `Points (${quote.pointsRedeemed})`, value: -quote.pointsDiscount }] : []),
+    ] : [];
+
+    // The most points this cart accepts, and what they would pay
+    const maxPoints = quote?.points?.maxRedeemable || 0;
+
+    return (
+        <View style={[styles.container, { backgroundColor: colors.background }]}>
+            <SafeAreaView edges={['top']}>
+                <View style={styles.header}>
+                    <Text style={[styles.headerTitle, { color: colors.text }]}>Checkout</Text>
+                    {restaurant && (
+                        <Text style={[styles.headerSubtitle, { color: colors.textMuted }]}>{restaurant.name}</Text>
+                    )}
+                </View>
+            </SafeAreaView>
+
+            <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+                <View style={styles.fulfillments}>
+                    {FULFILLMENTS.map((option) => (
+                        <Card
+                            key={option.id}
+                            style={[styles.fulfillmentCard, fulfillment === option.id && { borderColor: colors.primary, borderWidth: 2 }]}
+                            onPress={() => setFulfillment(option.id)}
+                        >
+                            <Ionicons name={option.icon} size={24} color={colors.primary} />
+                            <Text style={[styles.fulfillmentText, { color: colors.text }]}>{option.label}</Text>
+                        </Card>
+                    ))}
+                </View>
+
+                {fulfillment === 'delivery' && (
+                    <Input
+                        label="Delivery Address *"
+                        placeholder="Street, building, floor"
+                        value={deliveryAddress}
+                        onChangeText={setDeliveryAddress}
+                        leftIcon="location-outline"
+                    />
+                )}
+
+                <Input
+                    label="Notes"
+                    placeholder="Anything the restaurant should know"
+                    value={notes}
+                    onChangeText={setNotes}
+                    multiline
+                    numberOfLines={3}
+                />
+
+                {couponCode ? (
+                    <View style={styles.coupon}>
+                        <Ionicons name="pricetag-outline" size={18} color={colors.primary} />
+                        <Text style={[styles.couponText, { color: colors.text }]}>{couponCode}</Text>
+                        <Button title="Remove" variant="outline" size="sm" onPress={removeCoupon} />
+                    </View>
+                ) : (
+                    <View style={styles.coupon}>
+                        <Input
+                            placeholder="Promo code"
+                            value={promoCode}
+                            onChangeText={setPromoCode}
+                            leftIcon="pricetag-outline"
+                            autoCapitalize="characters"
+                            style={styles.couponInput}
+                        />
+                        <Button title="Apply" variant="outline" size="sm" onPress={handleApplyCoupon} disabled={quoting} />
+                    </View>
+                )}
+
+                {quote && (maxPoints > 0 || pointsToRedeem > 0) && (
+                    <View style={styles.coupon}>
+                        <Ionicons name="star-outline" size={18} color={colors.primary} />
+                        <Text style={[styles.couponText, { color: colors.text }]}>
+                            Use {maxPoints} points ({formatCurrency(maxPoints * quote.points.value)})
+                        </Text>
+                        <Switch
+                            value={pointsToRedeem > 0}
+                            onValueChange={(value) => setPointsToRedeem(value ? maxPoints : 0)}
+                            disabled={quoting}
+                        />
+                    </View>
+                )}
+
+                <Card style={styles.summary}>
+                    {quoting || !quote ? (
+                        <ActivityIndicator color={colors.primary} />
+                    ) : (
+                        <>
+                            {rows.map((row) => (
+                                <View key={row.label} style={styles.row}>
+                                    <Text style={[styles.rowLabel, { color: colors.textMuted }]}>{row.label}</Text>
+                                    <Text style={[styles.rowValue, { color: colors.text }]}>{formatCurrency(row.value)}</Text>
+                                </View>
+                            ))}
+                            <View style={[styles.row, styles.totalRow, { borderTopColor: colors.border }]}>
+                                <Text style={[styles.totalLabel, { color: colors.text }]}>Total</Text>
+                                <Text style={[styles.totalValue, { color: colors.primary }]}>{formatCurrency(quote.total)}</Text>
+                            </View>
+                        </>
+                    )}
+                </Card>
+
+                <Button
+                    title="Place Order"
+                    variant="gradient"
+                    size="lg"
+                    fullWidth
+                    loading={loading}
+                    disabled={!quote || quoting}
+                    onPress={handlePlaceOrder}
+                    style={styles.submitButton}
+                />
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    header: { paddingHorizontal: 20, paddingVertical: 16 },
+    headerTitle: { fontSize: 28, fontWeight: 'bold' },
+    headerSubtitle: { fontSize: 14, marginTop: 4 },
+    content: { paddingHorizontal: 20, paddingBottom: 100 },
+    fulfillments: { flexDirection: 'row', gap: 10, marginBottom: 16 },
+    fulfillmentCard: { flex: 1, flexDirection: 'row', alignItems: 'center', gap: 10, paddingVertical: 14 },
+    fulfillmentText: { fontSize: 13, fontWeight: '600' },
+    coupon: { flexDirection: 'row', alignItems: 'center', gap: 10, marginBottom: 8 },
+    couponInput: { flex: 1, marginBottom: 0 },
+    couponText: { flex: 1, fontSize: 14, fontWeight: '600' },
+    summary: { marginTop: 8, gap: 8 },
+    row: { flexDirection: 'row', justifyContent: 'space-between' },
+    rowLabel: { fontSize: 14 },
+    rowValue: { fontSize: 14, fontWeight: '500' },
+    totalRow: { borderTopWidth: 1, paddingTop: 8, marginTop: 4 },
+    totalLabel: { fontSize: 16, fontWeight: 'bold' },
+    totalValue: { fontSize: 16, fontWeight: 'bold' },
+    submitButton: { marginTop: 24 },
+});
+
+export default CheckoutScreen;
@@ -22,56 +22,33 @@ import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import { CATEGORIES, MAP_CONFIG } from '../../utils/constants';
 import { formatDistance, getUnlockedRadius } from '../../utils/helpers';
+import { placesAPI } from '../../services/api';
 
 const { width, height } = Dimensions.get('window');
 
-// Mock data for demonstration
-const MOCK_PLACES = [
-    {
-        id: '1',
-        name: 'Café Snack Marrakech',
-        category: 'food',
-        latitude: 33.5731,
-        longitude: -7.5898,
-        isOpen: true,
-        rating: 4.5,
-        reviewCount: 128,
-        distance: 150,
-    },
-    {
-        id: '2',
-        name: 'Dr. Ahmed Clinic',
-        category: 'health',
-        latitude: 33.5751,
-        longitude: -7.5878,
-        isOpen: true,
-        rating: 4.8,
-        reviewCount: 89,
-        distance: 320,
-    },
-    {
-        id: '3',
-        name: 'Vet Care Center',
-        category: 'vet',
-        latitude: 33.5711,
-        longitude: -7.5918,
-        isOpen: false,
-        rating: 4.2,
-        reviewCount: 45,
-        distance: 280,
-    },
-    {
-        id: '4',
-        name: 'Municipal Office',
-        category: 'admin',
-        latitude: 33.5741,
-        longitude: -7.5858,
-        isOpen: true,
-        rating: 3.9,
-        reviewCount: 23,
-        distance: 450,
-    },
-];
+// Wait for the map to settle before querying a new viewport
+const REGION_FETCH_DELAY = 300;
+
+/**
+ * Convert a map region to the viewport query of GET /places/map
+ * @param {Object} region - { latitude, longitude, latitudeDelta, longitudeDelta }
+ * @returns {Object} { north, south, east, west, zoom }
+ */
+const regionToViewport = (region) => ({
+    north: Math.min(region.latitude + region.latitudeDelta / 2, 90),
+    south: Math.max(region.latitude - region.latitudeDelta / 2, -90),
+    east: Math.min(region.longitude + region.longitudeDelta / 2, 180),
+    west: Math.max(region.longitude - region.longitudeDelta / 2, -180),
+    zoom: Math.max(0, Math.min(22, Math.round(Math.log2(360 / region.longitudeDelta)))),
+});
+
+/**
+ * Category with the most places in a cluster
+ * @param {Object} categories - { category: count }
+ * @returns {string} Category id
+ */
+const getMainCategory = (categories) =>
+    Object.entries(categories).sort((a, b) => b[1] - a[1])[0][0];
 
 /**
  * Category Filter Chip Component
@@ -216,16 +193,25 @@ const PlaceCard = ({ place, onPress, onClose }) => {
 const MapScreen = ({ navigation }) => {
     const { colors, isDarkMode } = useTheme();
     const { user } = useAuth();
-    const { location, isLoading: locationLoading, getCurrentLocation } = useLocation();
+    const { location, isLoading: locationLoading, getCurrentLocation, getDistanceToPoint } = useLocation();
 
     // State
-    const [places, setPlaces] = useState(MOCK_PLACES);
+    const [places, setPlaces] = useState([]);
+    const [clusters, setClusters] = useState([]);
     const [activeFilters, setActiveFilters] = useState([]);
     const [selectedPlace, setSelectedPlace] = useState(null);
     const [showRadiusCircle, setShowRadiusCircle] = useState(true);
 
     // Refs
     const mapRef = useRef(null);
+    const regionRef = useRef({
+        latitude: location?.latitude || MAP_CONFIG.DEFAULT_LATITUDE,
+        longitude: location?.longitude || MAP_CONFIG.DEFAULT_LONGITUDE,
+        latitudeDelta: MAP_CONFIG.DEFAULT_DELTA,
+        longitudeDelta: MAP_CONFIG.DEFAULT_DELTA,
+    });
+    const fetchTimer = useRef(null);
+    const requestId = useRef(0);
 
     // Get user's unlocked radius
     const userPoints = user?.points || 0;
@@ -253,14 +239,58 @@ const MapScreen = ({ navigation }) => {
         );
     };
 
-    // Filter places
-    const filteredPlaces = places.filter((place) =>
-        activeFilters.length === 0 || activeFilters.includes(place.category)
-    );
+    // Load places and clusters for the visible region
+    const fetchViewport = useCallback(async (region) => {
+        const currentRequest = ++requestId.current;
+
+        try {
+            const response = await placesAPI.getMap({
+                ...regionToViewport(region),
+                category: activeFilters.length > 0 ? activeFilters.join(',') : undefined,
+            });
+
+            // Ignore answers for a region the user has already left
+            if (currentRequest !== requestId.current) return;
+
+            setPlaces(response.data.data.places);
+            setClusters(response.data.data.clusters);
+        } catch (error) {
+            console.error('Error loading map places:', error);
+        }
+    }, [activeFilters]);
+
+    // Refetch when the filters change
+    useEffect(() => {
+        fetchViewport(regionRef.current);
+    }, [fetchViewport]);
+
+    // Cancel a pending fetch on unmount
+    useEffect(() => () => clearTimeout(fetchTimer.current), []);
+
+    // Handle pan and zoom
+    const handleRegionChange = (region) => {
+        regionRef.current = region;
+        clearTimeout(fetchTimer.current);
+        fetchTimer.current = setTimeout(() => fetchViewport(region), REGION_FETCH_DELAY);
+    };
 
     // Handle marker press
     const handleMarkerPress = (place) => {
-        setSelectedPlace(place);
+        setSelectedPlace({ ...place, distance: getDistanceToPoint(place) });
+    };
+
+    // Zoom into a cluster: fit its places, but always at least one zoom level closer
+    const handleClusterPress = (cluster) => {
+        const { north, south, east, west } = cluster.bounds;
+        const { latitudeDelta, longitudeDelta } = regionRef.current;
+        const fitDelta = (span, current) => Math.min(Math.max(span * 1.5, current / 4), current / 2);
+
+        mapRef.current?.animateToRegion({
+            latitude: (north + south) / 2,
+            longitude: (east + west) / 2,
+            latitudeDelta: fitDelta(north - south, latitudeDelta),
+            longitudeDelta: fitDelta(east - west, longitudeDelta),
+        });
     };
 
     // Handle place card press
@@ -307,6 +337,7 @@ const MapScreen = ({ navigation }) => {
                 showsMyLocationButton={false}
                 customMapStyle={mapStyle}
                 onPress={() => setSelectedPlace(null)}
+                onRegionChangeComplete={handleRegionChange}
             >
                 {/* Search Radius Circle */}
                 {showRadiusCircle && location && (
@@ -322,8 +353,32 @@ const MapScreen = ({ navigation }) => {
                     />
                 )}
 
+                {/* Cluster Markers */}
+                {clusters.map((cluster) => (
+                    <Marker
+                        key={cluster.id}
+                        coordinate={{
+                            latitude: cluster.latitude,
+                            longitude: cluster.longitude,
+                        }}
+                        onPress={() => handleClusterPress(cluster)}
+                    >
+                        <View
+                            style={[
+                                styles.clusterContainer,
+                                {
+                                    backgroundColor: CATEGORIES[getMainCategory(cluster.categories).toUpperCase()].color,
+                                    borderColor: '#FFFFFF',
+                                },
+                            ]}
+                        >
+                            <Text style={styles.clusterText}>{cluster.count}</Text>
+                        </View>
+                    </Marker>
+                ))}
+
                 {/* Place Markers */}
-                {filteredPlaces.map((place) => (
+                {places.map((place) => (
                     <Marker
                         key={place.id}
                         coordinate={{
@@ -607,6 +662,25 @@ const styles = StyleSheet.create({
         shadowRadius: 4,
         elevation: 5,
     },
+    clusterContainer: {
+        minWidth: 44,
+        height: 44,
+        paddingHorizontal: 8,
+        borderRadius: 22,
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderWidth: 3,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.25,
+        shadowRadius: 4,
+        elevation: 5,
+    },
+    clusterText: {
+        color: '#FFFFFF',
+        fontSize: 14,
+        fontWeight: '700',
+    },
     placeCardContainer: {
         position: 'absolute',
         bottom: 100,
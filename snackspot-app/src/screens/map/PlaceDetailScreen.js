@@ -13,72 +13,38 @@ import {
     Animated,
     Linking,
     Share,
+    ActivityIndicator,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../context/ThemeContext';
+import { useFavorites } from '../../context/FavoritesContext';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import { CATEGORIES } from '../../utils/constants';
-import { formatDistance, formatCurrency, isPlaceOpen } from '../../utils/helpers';
+import { formatDistance, formatCurrency, getOpenStatus } from '../../utils/helpers';
+import { placesAPI } from '../../services/api';
 
 const { width } = Dimensions.get('window');
 
-// Mock place data
-const MOCK_PLACE = {
-    id: '1',
-    name: 'Café Snack Marrakech',
-    category: 'food',
-    description: 'Authentic Moroccan cuisine with a modern twist. Fresh ingredients, traditional recipes.',
-    address: '123 Boulevard Mohammed V, Casablanca',
-    phone: '+212 5XX XXX XXX',
-    website: 'https://example.com',
-    latitude: 33.5731,
-    longitude: -7.5898,
-    rating: 4.5,
-    reviewCount: 128,
-    priceLevel: 2,
-    distance: 150,
-    photos: [
-        'https://images.unsplash.com/photo-1555396273-367ea4eb4db5',
-        'https://images.unsplash.com/photo-1517248135467-4c7edcad34c4',
-        'https://images.unsplash.com/photo-1466978913421-dad2ebd01d17',
-    ],
-    openingHours: {
-        monday: { open: '08:00', close: '22:00' },
-        tuesday: { open: '08:00', close: '22:00' },
-        wednesday: { open: '08:00', close: '22:00' },
-        thursday: { open: '08:00', close: '22:00' },
-        friday: { open: '08:00', close: '23:00' },
-        saturday: { open: '09:00', close: '23:00' },
-        sunday: { closed: true },
-    },
-    features: ['Takeaway', 'Delivery', 'Outdoor Seating', 'WiFi', 'Parking'],
-    tags: ['Popular', 'Fast Service', 'Family Friendly'],
-};
-
 /**
  * Place Detail Screen Component
  */
 const PlaceDetailScreen = ({ navigation, route }) => {
     const { colors, shadows } = useTheme();
     const { placeId } = route.params || {};
+    const { isFavorite: isFavoritePlace, toggleFavorite, setFavorite } = useFavorites();
 
     // State
-    const [place, setPlace] = useState(MOCK_PLACE);
-    const [isFavorite, setIsFavorite] = useState(false);
+    const [place, setPlace] = useState(null);
     const [currentPhotoIndex, setCurrentPhotoIndex] = useState(0);
-    const [loading, setLoading] = useState(false);
+    const [loading, setLoading] = useState(true);
 
     // Refs
     const scrollY = useRef(new Animated.Value(0)).current;
     const photoScrollRef = useRef(null);
 
-    // Get open status
-    const openStatus = isPlaceOpen(place.openingHours);
-    const categoryData = CATEGORIES[place.category.toUpperCase()];
-
     // Header animation
     const headerOpacity = scrollY.interpolate({
         inputRange: [0, 200],
@@ -86,6 +52,53 @@ const PlaceDetailScreen = ({ navigation, route }) => {
         extrapolate: 'clamp',
     });
 
+    // Load place
+    useEffect(() => {
+        const loadPlace = async () => {
+            setLoading(true);
+            try {
+                const response = await placesAPI.getById(placeId);
+                const data = response.data.data;
+                setPlace(data);
+                // Only sent for logged-in users; the account's state wins over the device's
+                if (typeof data.isFavorite === 'boolean') {
+                    setFavorite(data.id, data.isFavorite);
+                }
+            } catch (error) {
+                console.error('Error loading place:', error.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadPlace();
+    }, [placeId]);
+
+    if (loading || !place) {
+        return (
+            <View style={[styles.container, styles.centered, { backgroundColor: colors.background }]}>
+                {loading ? (
+                    <ActivityIndicator size="large" color={colors.primary} />
+                ) : (
+                    <>
+                        <Text style={[styles.errorText, { color: colors.textMuted }]}>
+                            This place could not be loaded
+                        </Text>
+                        <Button title="Go Back" variant="outline" onPress={() => navigation.goBack()} />
+                    </>
+                )}
+            </View>
+        );
+    }
+
+    const isFavorite = isFavoritePlace(place.id);
+
+    // Get open status
+    const openStatus = getOpenStatus(place);
+    const categoryData = CATEGORIES[place.category?.toUpperCase()] || CATEGORIES.FOOD;
+
+    // Gallery shows the category placeholder when the place has no photos
+    const photos = place.photos.length > 0 ? place.photos : [null];
+
     // Handle call
     const handleCall = () => {
         Linking.openURL(`tel:${place.phone}`);
@@ -167,7 +180,7 @@ const PlaceDetailScreen = ({ navigation, route }) => {
                         </Text>
                         <TouchableOpacity
                             style={styles.headerButton}
-                            onPress={() => setIsFavorite(!isFavorite)}
+                            onPress={() => toggleFavorite(place.id)}
                         >
                             <Ionicons
                                 name={isFavorite ? 'heart' : 'heart-outline'}
@@ -199,7 +212,7 @@ const PlaceDetailScreen = ({ navigation, route }) => {
                             setCurrentPhotoIndex(index);
                         }}
                     >
-                        {place.photos.map((photo, index) => (
+                        {photos.map((photo, index) => (
                             <View key={index} style={styles.photoContainer}>
                                 <LinearGradient
                                     colors={['transparent', 'rgba(0,0,0,0.7)']}
@@ -224,7 +237,7 @@ const PlaceDetailScreen = ({ navigation, route }) => {
 
                     {/* Photo Indicators */}
                     <View style={styles.photoIndicators}>
-                        {place.photos.map((_, index) => (
+                        {photos.map((_, index) => (
                             <View
                                 key={index}
                                 style={[
@@ -256,7 +269,7 @@ const PlaceDetailScreen = ({ navigation, route }) => {
                             </TouchableOpacity>
                             <TouchableOpacity
                                 style={[styles.overlayButton, { backgroundColor: 'rgba(0,0,0,0.5)' }]}
-                                onPress={() => setIsFavorite(!isFavorite)}
+                                onPress={() => toggleFavorite(place.id)}
                             >
                                 <Ionicons
                                     name={isFavorite ? 'heart' : 'heart-outline'}
@@ -453,6 +466,16 @@ const styles = StyleSheet.create({
     container: {
         flex: 1,
     },
+    centered: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 24,
+    },
+    errorText: {
+        fontSize: 16,
+        marginBottom: 16,
+        textAlign: 'center',
+    },
     animatedHeader: {
         position: 'absolute',
         top: 0,
@@ -1 +1,138 @@
-export { LeaderboardScreen as default } from '../PlaceholderScreens';
+// TAGHRA - Leaderboard Screen
+// Weekly, monthly and all-time rankings, worldwide or in the user's city, with the user's own rank
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import Card from '../../components/common/Card';
+import { userAPI } from '../../services/api';
+
+const PERIODS = [
+    { id: 'week', label: 'This Week' },
+    { id: 'month', label: 'This Month' },
+    { id: 'all', label: 'All Time' },
+];
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+const LeaderboardScreen = () => {
+    const { colors } = useTheme();
+    const { user } = useAuth();
+    const [period, setPeriod] = useState('week');
+    const [inMyCity, setInMyCity] = useState(false);
+    const [entries, setEntries] = useState([]);
+    const [myRank, setMyRank] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const city = inMyCity ? user?.city : undefined;
+
+    useEffect(() => {
+        const loadBoard = async () => {
+            setLoading(true);
+            try {
+                const params = { period, city };
+                const [board, me] = await Promise.all([
+                    userAPI.getLeaderboard({ ...params, limit: 50 }),
+                    user ? userAPI.getMyRank(params) : Promise.resolve(null),
+                ]);
+                setEntries(board.data.data);
+                setMyRank(me ? me.data.data : null);
+            } catch (error) {
+                console.error('Error loading leaderboard:', error.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadBoard();
+    }, [period, city]);
+
+    const renderEntry = ({ item }) => {
+        const isMe = item.id === user?.id;
+        return (
+            <Card style={[styles.entry, isMe && { borderColor: colors.primary, borderWidth: 2 }]}>
+                <Text style={[styles.rank, { color: colors.textMuted }]}>{MEDALS[item.rank] || `#${item.rank}`}</Text>
+                <View style={styles.entryInfo}>
+                    <Text style={[styles.name, { color: colors.text }]}>{isMe ? 'You' : item.name}</Text>
+                    {item.city && <Text style={[styles.city, { color: colors.textMuted }]}>{item.city}</Text>}
+                </View>
+                <Text style={[styles.points, { color: colors.primary }]}>{item.points} pts</Text>
+            </Card>
+        );
+    };
+
+    return (
+        <View style={[styles.container, { backgroundColor: colors.background }]}>
+            <SafeAreaView edges={['top']}>
+                <View style={styles.header}>
+                    <Text style={[styles.headerTitle, { color: colors.text }]}>Leaderboard</Text>
+                    {user?.city && (
+                        <TouchableOpacity style={styles.scope} onPress={() => setInMyCity((value) => !value)}>
+                            <Ionicons name={inMyCity ? 'location' : 'globe-outline'} size={16} color={colors.primary} />
+                            <Text style={[styles.scopeText, { color: colors.primary }]}>{inMyCity ? user.city : 'Everywhere'}</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+                <View style={styles.tabs}>
+                    {PERIODS.map((tab) => (
+                        <TouchableOpacity
+                            key={tab.id}
+                            style={[styles.tab, period === tab.id && { backgroundColor: colors.primary }]}
+                            onPress={() => setPeriod(tab.id)}
+                        >
+                            <Text style={[styles.tabText, { color: period === tab.id ? '#FFF' : colors.textMuted }]}>{tab.label}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+                {myRank && (
+                    <Card style={styles.myRank}>
+                        <Ionicons name="trophy-outline" size={22} color={colors.primary} />
+                        <Text style={[styles.myRankText, { color: colors.text }]}>
+                            {myRank.rank ? `You are #${myRank.rank} with ${myRank.points} pts` : 'Earn points to join the ranking'}
+                        </Text>
+                    </Card>
+                )}
+            </SafeAreaView>
+            {loading ? (
+                <ActivityIndicator style={styles.loader} color={colors.primary} />
+            ) : (
+                <FlatList
+                    data={entries}
+                    renderItem={renderEntry}
+                    keyExtractor={(item) => item.id}
+                    contentContainerStyle={styles.list}
+                    showsVerticalScrollIndicator={false}
+                    ListEmptyComponent={
+                        <Text style={[styles.empty, { color: colors.textMuted }]}>No points earned yet in this period</Text>
+                    }
+                />
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    header: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 20, paddingVertical: 16 },
+    headerTitle: { fontSize: 28, fontWeight: 'bold' },
+    scope: { flexDirection: 'row', alignItems: 'center', gap: 4 },
+    scopeText: { fontSize: 14, fontWeight: '600' },
+    tabs: { flexDirection: 'row', paddingHorizontal: 20, gap: 12, marginBottom: 16 },
+    tab: { flex: 1, alignItems: 'center', justifyContent: 'center', paddingVertical: 12, borderRadius: 12, backgroundColor: 'rgba(0,0,0,0.05)' },
+    tabText: { fontSize: 14, fontWeight: '600' },
+    myRank: { flexDirection: 'row', alignItems: 'center', gap: 10, marginHorizontal: 20, marginBottom: 16 },
+    myRankText: { fontSize: 15, fontWeight: '600' },
+    loader: { marginTop: 40 },
+    list: { paddingHorizontal: 20, paddingBottom: 100 },
+    entry: { flexDirection: 'row', alignItems: 'center', gap: 12, marginBottom: 10 },
+    rank: { width: 40, fontSize: 16, fontWeight: 'bold', textAlign: 'center' },
+    entryInfo: { flex: 1 },
+    name: { fontSize: 16, fontWeight: '600' },
+    city: { fontSize: 12, marginTop: 2 },
+    points: { fontSize: 16, fontWeight: 'bold' },
+    empty: { textAlign: 'center', marginTop: 40, fontSize: 14 },
+});
+
+export default LeaderboardScreen;
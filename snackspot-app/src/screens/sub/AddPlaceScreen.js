@@ -9,10 +9,14 @@ import { useTheme } from '../../context/ThemeContext';
 import Input from '../../components/common/Input';
 import Button from '../../components/common/Button';
 import Card from '../../components/common/Card';
+import useLocation from '../../hooks/useLocation';
+import { subAPI } from '../../services/api';
 import { CATEGORIES } from '../../utils/constants';
+import { formatDistance } from '../../utils/helpers';
 
 const AddPlaceScreen = ({ navigation }) => {
     const { colors } = useTheme();
+    const { location } = useLocation();
     const [form, setForm] = useState({
         name: '',
         category: '',
@@ -24,17 +28,57 @@ const AddPlaceScreen = ({ navigation }) => {
 
     const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
 
-    const handleSubmit = async () => {
+    /**
+     * Send the submission; the place is pinned at the ambassador's current location
+     * @param {boolean} confirmNotDuplicate - Submit even though similar places were found
+     */
+    const submit = async (confirmNotDuplicate = false) => {
+        const formData = new FormData();
+        Object.entries(form).forEach(([field, value]) => {
+            if (value) formData.append(field, value);
+        });
+        formData.append('latitude', String(location.latitude));
+        formData.append('longitude', String(location.longitude));
+        if (confirmNotDuplicate) formData.append('confirmNotDuplicate', 'true');
+
+        setLoading(true);
+        try {
+            await subAPI.addPlace(formData);
+            Alert.alert('Success! 🎉', 'Your submission is under review. You\'ll earn 10 points once approved!');
+            navigation.goBack();
+        } catch (error) {
+            const duplicates = error.data?.details?.duplicates;
+            if (error.status === 409 && duplicates) {
+                const list = duplicates
+                    .slice(0, 3)
+                    .map((match) => `• ${match.name} (${formatDistance(match.distance)} away)`)
+                    .join('\n');
+                Alert.alert(
+                    'Already listed?',
+                    `We found similar places nearby:\n${list}\n\nIs yours a different place?`,
+                    [
+                        { text: 'Cancel', style: 'cancel' },
+                        { text: 'Submit anyway', onPress: () => submit(true) },
+                    ]
+                );
+            } else {
+                Alert.alert('Error', error.message);
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = () => {
         if (!form.name || !form.category || !form.address) {
             Alert.alert('Missing Fields', 'Please fill in all required fields.');
             return;
         }
-        setLoading(true);
-        setTimeout(() => {
-            setLoading(false);
-            Alert.alert('Success! 🎉', 'Your submission is under review. You\'ll earn 10 points once approved!');
-            navigation.goBack();
-        }, 1500);
+        if (!location) {
+            Alert.alert('Location Needed', 'Turn on location so the place can be pinned where you are.');
+            return;
+        }
+        submit();
     };
 
     return (
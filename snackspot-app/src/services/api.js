@@ -179,7 +179,8 @@ export const userAPI = {
     updateProfile: (data) => api.put('/users/profile', data),
     getPointsHistory: () => api.get('/users/points-history'),
     getBadges: () => api.get('/users/badges'),
-    getLeaderboard: (limit = 10) => api.get(`/users/leaderboard?limit=${limit}`),
+    getLeaderboard: (params = {}) => api.get('/users/leaderboard', { params }),
+    getMyRank: (params = {}) => api.get('/users/leaderboard/me', { params }),
     uploadAvatar: (formData) => api.post('/users/avatar', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
     }),
@@ -190,16 +191,29 @@ export const userAPI = {
  */
 export const placesAPI = {
     getNearby: (params) => api.get('/places/nearby', { params }),
+    getMap: (params) => api.get('/places/map', { params }),
     getById: (id) => api.get(`/places/${id}`),
     getMenu: (id) => api.get(`/places/${id}/menu`),
     getReviews: (id, params) => api.get(`/places/${id}/reviews`, { params }),
     search: (query, params) => api.get('/places/search', { params: { query, ...params } }),
 };
 
+/**
+ * Favorites endpoints
+ */
+export const favoritesAPI = {
+    getAll: () => api.get('/favorites'),
+    add: (placeId) => api.post(`/favorites/${placeId}`),
+    remove: (placeId) => api.delete(`/favorites/${placeId}`),
+    sync: (placeIds) => api.post('/favorites/sync', { placeIds }),
+};
+
 /**
  * Orders endpoints
  */
 export const ordersAPI = {
+    quote: (data) => api.post('/orders/quote', data),
+    validateCoupon: (data) => api.post('/orders/validate-coupon', data),
     create: (data) => api.post('/orders/create', data),
     getMyOrders: (params) => api.get('/orders/my-orders', { params }),
     getById: (id) => api.get(`/orders/${id}`),
@@ -248,14 +262,43 @@ export const subAPI = {
     getEarnings: () => api.get('/subs/earnings'),
 };
 
+/**
+ * Business claims endpoints
+ */
+export const claimsAPI = {
+    create: (formData) => api.post('/claims', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+    getMine: () => api.get('/claims/mine'),
+    verify: (claimId, code) => api.post(`/claims/${claimId}/verify`, { code }),
+    resendCode: (claimId) => api.post(`/claims/${claimId}/resend-code`),
+};
+
 /**
  * Reviews endpoints
  */
 export const reviewsAPI = {
-    create: (placeId, data) => api.post(`/places/${placeId}/reviews`, data),
+    create: (placeId, formData) => api.post(`/places/${placeId}/reviews`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+    }),
     update: (placeId, reviewId, data) => api.put(`/places/${placeId}/reviews/${reviewId}`, data),
     delete: (placeId, reviewId) => api.delete(`/places/${placeId}/reviews/${reviewId}`),
+    uploadPhotos: (placeId, reviewId, formData) => api.post(`/places/${placeId}/reviews/${reviewId}/photos`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+    }),
     vote: (placeId, reviewId, isHelpful) => api.post(`/places/${placeId}/reviews/${reviewId}/vote`, { isHelpful }),
+    report: (placeId, reviewId, reason, details) => api.post(`/places/${placeId}/reviews/${reviewId}/report`, { reason, details }),
+    reply: (placeId, reviewId, body) => api.put(`/places/${placeId}/reviews/${reviewId}/reply`, { body }),
+    deleteReply: (placeId, reviewId) => api.delete(`/places/${placeId}/reviews/${reviewId}/reply`),
+};
+
+/**
+ * Suggested edits endpoints
+ */
+export const placeEditsAPI = {
+    getPending: (placeId) => api.get(`/places/${placeId}/edits`),
+    suggest: (placeId, changes) => api.post(`/places/${placeId}/edits`, changes),
+    agree: (placeId, editId) => api.post(`/places/${placeId}/edits/${editId}/agree`),
 };
 
 /**
@@ -335,9 +335,6 @@ export const ANIMATIONS = {
     slow: 500,
 };
 
-// SERVICE FEE
-export const SERVICE_FEE = 1; // 1 DH per transaction
-
 export default {
     COLORS,
     FONTS,
@@ -352,5 +349,4 @@ export default {
     ORDER_STATUS,
     APPOINTMENT_STATUS,
     ANIMATIONS,
-    SERVICE_FEE,
 };
@@ -85,6 +85,27 @@ export const isPlaceOpen = (openingHours) => {
     };
 };
 
+/**
+ * Get open status for a place payload
+ * Prefers the status computed by the API (Africa/Casablanca time, split shifts,
+ * Ramadan and holiday schedules) and falls back to isPlaceOpen for local data
+ * @param {Object} place - Place with isOpen/opensAt/closesAt or openingHours
+ * @returns {Object} { isOpen: boolean, closesAt: string, opensAt: string }
+ */
+export const getOpenStatus = (place) => {
+    if (!place) return { isOpen: false, closesAt: null, opensAt: null };
+
+    if (typeof place.isOpen === 'boolean' && ('opensAt' in place || 'closesAt' in place)) {
+        return {
+            isOpen: place.isOpen,
+            closesAt: place.closesAt ? formatDate(place.closesAt, 'time') : null,
+            opensAt: place.opensAt ? formatDate(place.opensAt, 'time') : null,
+        };
+    }
+
+    return isPlaceOpen(place.openingHours);
+};
+
 /**
  * Calculate points based on action type
  * @param {string} actionType - Type of action
@@ -336,6 +357,7 @@ export default {
     formatDistance,
     formatCurrency,
     isPlaceOpen,
+    getOpenStatus,
     calculatePoints,
     getUserLevel,
     getUnlockedRadius,
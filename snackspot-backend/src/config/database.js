@@ -78,8 +78,30 @@ const getClient = async () => {
     return client;
 };
 
+/**
+ * Run a callback inside a transaction
+ * Commits when the callback resolves, rolls back when it throws
+ * @param {Function} callback - Receives the transaction client
+ * @returns {Promise<*>} Callback result
+ */
+const withTransaction = async (callback) => {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 module.exports = {
     pool,
     query,
     getClient,
+    withTransaction,
 };
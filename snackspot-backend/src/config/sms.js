@@ -0,0 +1,46 @@
+// TAGHRA - SMS Configuration
+// Pluggable SMS delivery: SMS_PROVIDER picks a registered provider, the local stub by default
+
+const providers = {
+    // Prints messages to the console instead of sending them (development and tests)
+    stub: {
+        send: async (to, message) => {
+            console.log(`📱 [SMS stub] to ${to}: ${message}`);
+            return { id: `stub-${Date.now()}` };
+        },
+    },
+};
+
+const providerName = process.env.SMS_PROVIDER || 'stub';
+
+if (providerName === 'stub' && process.env.NODE_ENV === 'production') {
+    console.warn('⚠️ SMS_PROVIDER is not set. Text messages are only logged, not sent.');
+}
+
+/**
+ * Register an SMS provider, e.g. a gateway client set up at startup
+ * @param {string} name - Value of SMS_PROVIDER selecting it
+ * @param {Object} provider - { send: async (to, message) => ({ id }) }
+ */
+const registerSmsProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {string} to - Phone number
+ * @param {string} message - Text
+ * @returns {Promise<Object>} Provider response ({ id })
+ */
+const sendSms = async (to, message) => {
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new Error(`Unknown SMS provider: ${providerName}`);
+    }
+    return provider.send(to, message);
+};
+
+module.exports = {
+    registerSmsProvider,
+    sendSms,
+};
@@ -0,0 +1,44 @@
+// TAGHRA - Badge Backfill Script
+// Awards every badge existing users already qualify for (after adding a badge or changing its criteria)
+// Usage: npm run db:backfill-badges [-- --notify]
+
+require('dotenv').config();
+const db = require('../config/database');
+const { evaluateBadges } = require('../services/badges');
+
+const BATCH_SIZE = 500;
+
+// Users are not notified of backfilled badges unless asked
+const notify = process.argv.includes('--notify');
+
+const backfill = async () => {
+    let offset = 0;
+    let checked = 0;
+    let awarded = 0;
+
+    for (;;) {
+        const result = await db.query(
+            'SELECT id FROM users ORDER BY id LIMIT $1 OFFSET $2',
+            [BATCH_SIZE, offset]
+        );
+
+        if (result.rows.length === 0) break;
+
+        for (const user of result.rows) {
+            const badges = await evaluateBadges(user.id, { notify });
+            awarded += badges.length;
+            checked++;
+        }
+
+        offset += BATCH_SIZE;
+    }
+
+    console.log(`✅ Checked ${checked} users, awarded ${awarded} badges`);
+};
+
+backfill()
+    .then(() => db.pool.end())
+    .catch((error) => {
+        console.error('❌ Badge backfill failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,75 @@
+// TAGHRA - Booking Race Check
+// Books one slot from many connections at once and checks that exactly one booking wins
+// Runs on its own throwaway practice and slot (no real doctors or users needed), removed afterwards
+// Usage: npm run db:check-booking-race [-- --attempts=10] (refuses to run with NODE_ENV=production)
+
+require('dotenv').config();
+const db = require('../config/database');
+const { bookSlot } = require('../services/appointments');
+
+// Each attempt holds its own pool client, so stay under the pool size
+const attemptsArg = process.argv.find(arg => arg.startsWith('--attempts='));
+const ATTEMPTS = Math.min(parseInt(attemptsArg?.split('=')[1]) || 10, 15);
+
+const RACE_DATE = '2000-01-01';
+const RACE_SLOT = '09:00';
+
+const check = async () => {
+    // Deleting the practice removes its slot and appointments with it
+    const practice = await db.query(`
+    INSERT INTO places (name, category, address, latitude, longitude)
+    VALUES ('Booking race check', 'health', 'Throwaway', 0, 0)
+    RETURNING id
+  `);
+    const doctorId = practice.rows[0].id;
+
+    await db.query(`
+    INSERT INTO doctor_availability (doctor_id, date, time_slot, is_booked)
+    VALUES ($1, $2, $3, false)
+  `, [doctorId, RACE_DATE, RACE_SLOT]);
+
+    try {
+        const results = await Promise.allSettled(
+            Array.from({ length: ATTEMPTS }, () => db.withTransaction(client => bookSlot(client, {
+                userId: null,
+                doctorId,
+                date: RACE_DATE,
+                timeSlot: RACE_SLOT,
+                fee: 0,
+            })))
+        );
+
+        const won = results.filter(r => r.status === 'fulfilled').length;
+        const refused = results.filter(r => r.status === 'rejected' && r.reason.statusCode === 409).length;
+        const failed = results.filter(r => r.status === 'rejected' && r.reason.statusCode !== 409);
+
+        const booked = await db.query(`
+      SELECT COUNT(*) as count FROM appointments
+      WHERE doctor_id = $1 AND date = $2 AND time_slot = $3 AND status <> 'cancelled'
+    `, [doctorId, RACE_DATE, RACE_SLOT]);
+
+        console.log(`${ATTEMPTS} attempts: ${won} booked, ${refused} refused, ${failed.length} failed`);
+        failed.forEach(r => console.error('  ', r.reason.message));
+
+        if (won !== 1 || parseInt(booked.rows[0].count) !== 1 || failed.length > 0) {
+            throw new Error('Slot was not booked exactly once');
+        }
+    } finally {
+        await db.query('DELETE FROM places WHERE id = $1', [doctorId]);
+    }
+
+    console.log('✅ Only one concurrent booking won the slot');
+};
+
+if (process.env.NODE_ENV === 'production') {
+    console.error('❌ The booking race check writes test rows, it does not run with NODE_ENV=production');
+    process.exit(1);
+}
+
+check()
+    .then(() => db.pool.end())
+    .catch(async (error) => {
+        console.error('❌ Booking race check failed:', error.message);
+        await db.pool.end();
+        process.exit(1);
+    });
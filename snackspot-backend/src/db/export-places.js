@@ -0,0 +1,60 @@
+// TAGHRA - Place Export Script
+// Writes places to a GeoJSON or CSV file (format taken from the output extension)
+// Usage: npm run db:export-places -- <out.geojson|out.csv> [--category=food] [--city=Rabat]
+//        [--bbox=west,south,east,north] [--include-archived]
+
+require('dotenv').config();
+const fs = require('fs');
+const db = require('../config/database');
+const { formatFromFilename, toCSV, toGeoJSON } = require('../utils/placeFormats');
+const { validateBounds } = require('../utils/mapClusters');
+const { exportPlaces } = require('../services/placeImport');
+
+/**
+ * Read a --name=value option
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} name - Option name
+ * @returns {string|undefined} Value
+ */
+const option = (args, name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+
+    const format = formatFromFilename(file);
+    if (!file || !format) {
+        throw new Error('Usage: npm run db:export-places -- <out.geojson|out.csv> [--category=] [--city=] [--bbox=w,s,e,n]');
+    }
+
+    let bbox;
+    if (option(args, 'bbox')) {
+        const [west, south, east, north] = option(args, 'bbox').split(',').map(Number);
+        bbox = { west, south, east, north };
+        const problems = validateBounds(bbox);
+        if (problems.length > 0 || Object.values(bbox).some(Number.isNaN)) {
+            throw new Error(`Invalid bbox: ${problems.join(', ') || 'expected west,south,east,north'}`);
+        }
+    }
+
+    const places = await exportPlaces({
+        category: option(args, 'category'),
+        city: option(args, 'city'),
+        bbox,
+        includeArchived: args.includes('--include-archived'),
+    });
+
+    fs.writeFileSync(file, format === 'csv' ? toCSV(places) : JSON.stringify(toGeoJSON(places), null, 2));
+
+    console.log(`✅ Exported ${places.length} places to ${file}`);
+};
+
+run()
+    .then(() => db.pool.end())
+    .catch((error) => {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    });
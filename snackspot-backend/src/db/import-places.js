@@ -0,0 +1,37 @@
+// TAGHRA - Place Import Script
+// Imports places from a GeoJSON or CSV file, upserting by external_id
+// Usage: npm run db:import-places -- <file.geojson|file.csv> [--dry-run]
+
+require('dotenv').config();
+const fs = require('fs');
+const db = require('../config/database');
+const { parsePlaceFile, formatFromFilename } = require('../utils/placeFormats');
+const { importPlaces } = require('../services/placeImport');
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+    const dryRun = args.includes('--dry-run');
+
+    const format = formatFromFilename(file);
+    if (!file || !format) {
+        throw new Error('Usage: npm run db:import-places -- <file.geojson|file.csv> [--dry-run]');
+    }
+
+    const entries = parsePlaceFile(format, fs.readFileSync(file, 'utf8'));
+    const report = await importPlaces(entries, { dryRun });
+
+    report.errors.forEach(({ row, externalId, problems }) => {
+        console.log(`⚠️  Row ${row}${externalId ? ` (${externalId})` : ''}: ${problems.join('; ')}`);
+    });
+
+    console.log(`${dryRun ? '🔎 Dry run: ' : '✅ '}${report.total} rows, ${report.created} created, `
+        + `${report.updated} updated, ${report.unchanged} unchanged, ${report.invalid} invalid`);
+};
+
+run()
+    .then(() => db.pool.end())
+    .catch((error) => {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    });
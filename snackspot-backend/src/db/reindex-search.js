@@ -0,0 +1,45 @@
+// TAGHRA - Search Reindex Script
+// Recomputes the normalized search columns for every place
+// Usage: npm run db:reindex-search
+
+require('dotenv').config();
+const db = require('../config/database');
+const { buildSearchColumns } = require('../utils/search');
+
+const BATCH_SIZE = 500;
+
+const reindex = async () => {
+    let offset = 0;
+    let updated = 0;
+
+    for (;;) {
+        const result = await db.query(`
+      SELECT id, name, description, address, tags
+      FROM places
+      ORDER BY id
+      LIMIT $1 OFFSET $2
+    `, [BATCH_SIZE, offset]);
+
+        if (result.rows.length === 0) break;
+
+        for (const place of result.rows) {
+            const columns = buildSearchColumns(place);
+            await db.query(`
+        UPDATE places SET search_name = $1, search_skeleton = $2, search_text = $3
+        WHERE id = $4
+      `, [columns.search_name, columns.search_skeleton, columns.search_text, place.id]);
+            updated++;
+        }
+
+        offset += BATCH_SIZE;
+    }
+
+    console.log(`✅ Reindexed ${updated} places`);
+};
+
+reindex()
+    .then(() => db.pool.end())
+    .catch((error) => {
+        console.error('❌ Reindex failed:', error.message);
+        process.exit(1);
+    });
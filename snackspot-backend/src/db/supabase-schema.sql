@@ -42,7 +42,6 @@ CREATE TABLE IF NOT EXISTS public.places (
     rating DECIMAL(2, 1) DEFAULT 0,
     review_count INTEGER DEFAULT 0,
     price_level INTEGER DEFAULT 2 CHECK (price_level BETWEEN 1 AND 4),
-    is_open BOOLEAN DEFAULT TRUE,
     opening_hours JSONB,
     photos TEXT[],
     features TEXT[],
@@ -239,4 +238,533 @@ CREATE TABLE IF NOT EXISTS public.favorites (
 );
 
 ALTER TABLE public.favorites ENABLE ROW LEVEL SECURITY;
-CREATE POLICY "Service role full access favorites" ON public.favorites FOR ALL USING (true);
\ No newline at end of file
+CREATE POLICY "Service role full access favorites" ON public.favorites FOR ALL USING (true);
+
+-- ============================================
+-- PLACE SEARCH (normalized, typo tolerant)
+-- ============================================
+
+-- Columns are filled by src/utils/search.js (buildSearchColumns)
+-- Backfill existing rows with: npm run db:reindex-search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS search_name TEXT;
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS search_skeleton TEXT;
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_places_search_name ON public.places USING GIN (search_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_places_search_skeleton ON public.places USING GIN (search_skeleton gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_places_search_text ON public.places USING GIN (search_text gin_trgm_ops);
+
+-- ============================================
+-- OPENING HOURS
+-- ============================================
+
+-- Open status is computed from opening_hours by src/utils/openingHours.js,
+-- the static flag went stale as soon as a place changed its hours
+ALTER TABLE public.places DROP COLUMN IF EXISTS is_open;
+
+-- ============================================
+-- OWNER PLACE MANAGEMENT
+-- ============================================
+
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Every owner/admin write to a place, with a field-level diff
+CREATE TABLE IF NOT EXISTS public.place_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    place_id UUID REFERENCES public.places(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    action VARCHAR(30) NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.place_changes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access place changes" ON public.place_changes FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_place_changes_place_id ON public.place_changes(place_id, created_at DESC);
+
+-- ============================================
+-- MENU MODIFIERS (sizes, extras, sauces...)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.menu_modifier_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    menu_item_id UUID REFERENCES public.menu_items(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_required BOOLEAN DEFAULT FALSE,
+    min_select INTEGER DEFAULT 0 CHECK (min_select >= 0),
+    max_select INTEGER CHECK (max_select IS NULL OR max_select >= 1),
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.menu_modifier_options (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID REFERENCES public.menu_modifier_groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10, 2) DEFAULT 0,
+    is_available BOOLEAN DEFAULT TRUE,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.menu_modifier_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.menu_modifier_options ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access menu modifier groups" ON public.menu_modifier_groups FOR ALL USING (true);
+CREATE POLICY "Service role full access menu modifier options" ON public.menu_modifier_options FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_menu_modifier_groups_item ON public.menu_modifier_groups(menu_item_id);
+CREATE INDEX IF NOT EXISTS idx_menu_modifier_options_group ON public.menu_modifier_options(group_id);
+
+-- ============================================
+-- REVIEW LIFECYCLE (helpful votes, reports, owner replies)
+-- ============================================
+
+-- Tags have always been sent by the app and stored by the reviews route
+ALTER TABLE public.reviews ADD COLUMN IF NOT EXISTS tags TEXT[];
+
+CREATE TABLE IF NOT EXISTS public.review_votes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID REFERENCES public.reviews(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(review_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.review_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID REFERENCES public.reviews(id) ON DELETE SET NULL,
+    reporter_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('spam', 'offensive', 'fake', 'off_topic', 'personal_info', 'other')),
+    details TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed', 'actioned')),
+    resolved_by UUID REFERENCES public.users(id),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolution_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(review_id, reporter_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.review_replies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID UNIQUE REFERENCES public.reviews(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.review_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.review_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.review_replies ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access review votes" ON public.review_votes FOR ALL USING (true);
+CREATE POLICY "Service role full access review reports" ON public.review_reports FOR ALL USING (true);
+CREATE POLICY "Service role full access review replies" ON public.review_replies FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_status ON public.review_reports(status, created_at);
+
+-- ============================================
+-- VERIFIED PURCHASE REVIEWS
+-- ============================================
+
+ALTER TABLE public.reviews ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL;
+ALTER TABLE public.reviews ADD COLUMN IF NOT EXISTS appointment_id UUID REFERENCES public.appointments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_place_verified ON public.reviews(place_id, is_verified_purchase, created_at DESC);
+
+-- ============================================
+-- PLACE IMPORT / EXPORT
+-- ============================================
+
+-- ID of the place in the source dataset, used to upsert on re-import
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS external_id VARCHAR(100) UNIQUE;
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_places_city ON public.places(LOWER(city));
+
+-- ============================================
+-- PLACE SUBMISSIONS (ambassadors)
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE TABLE IF NOT EXISTS public.place_submissions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sub_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('food', 'health', 'vet', 'admin')),
+    address VARCHAR(500) NOT NULL,
+    location GEOGRAPHY(POINT, 4326) NOT NULL,
+    phone VARCHAR(20),
+    description TEXT,
+    photos TEXT[],
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Nearby places and pending submissions with a similar name, found when the submission was made
+ALTER TABLE public.place_submissions ADD COLUMN IF NOT EXISTS possible_duplicates JSONB DEFAULT '[]';
+ALTER TABLE public.place_submissions ADD COLUMN IF NOT EXISTS is_flagged_duplicate BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE public.place_submissions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access place submissions" ON public.place_submissions FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_place_submissions_location ON public.place_submissions USING GIST(location);
+CREATE INDEX IF NOT EXISTS idx_place_submissions_status ON public.place_submissions(status, created_at);
+
+-- ============================================
+-- SUBMISSION MODERATION
+-- ============================================
+
+-- Moderators work the review and submission queues without full admin rights
+ALTER TABLE public.users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE public.users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('user', 'restaurant', 'doctor', 'vet', 'sub', 'moderator', 'admin'));
+
+ALTER TABLE public.place_submissions ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
+-- Place created when the submission was approved
+ALTER TABLE public.place_submissions ADD COLUMN IF NOT EXISTS place_id UUID REFERENCES public.places(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_place_submissions_sub ON public.place_submissions(sub_id, created_at DESC);
+
+-- Notifications carry a body and a JSON payload for the app to deep-link from
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS body TEXT;
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS data JSONB DEFAULT '{}';
+ALTER TABLE public.notifications ALTER COLUMN message DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.device_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL,
+    platform VARCHAR(20),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, token)
+);
+
+ALTER TABLE public.device_tokens ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access device tokens" ON public.device_tokens FOR ALL USING (true);
+
+-- ============================================
+-- SUGGESTED PLACE EDITS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.place_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    place_id UUID REFERENCES public.places(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    -- { column: value } for the columns that differ from the listing
+    proposed JSONB NOT NULL,
+    -- { column: { from, to } } against the listing when the edit was suggested
+    changes JSONB NOT NULL,
+    note TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'rejected')),
+    resolved_via VARCHAR(20) CHECK (resolved_via IN ('agreement', 'owner', 'moderator')),
+    resolved_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    resolution_note TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The author's own agreement is stored here too
+CREATE TABLE IF NOT EXISTS public.place_edit_agreements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    edit_id UUID REFERENCES public.place_edits(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    is_trusted BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(edit_id, user_id)
+);
+
+ALTER TABLE public.place_edits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.place_edit_agreements ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access place edits" ON public.place_edits FOR ALL USING (true);
+CREATE POLICY "Service role full access place edit agreements" ON public.place_edit_agreements FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_place_edits_place ON public.place_edits(place_id, status);
+CREATE INDEX IF NOT EXISTS idx_place_edits_status ON public.place_edits(status, created_at);
+
+-- ============================================
+-- BUSINESS CLAIMS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.place_claims (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    place_id UUID REFERENCES public.places(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    message TEXT,
+    -- [{ filename, originalName, mimetype, size }] stored in private_uploads/claims/
+    documents JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    -- Only a hash of the code texted to the place's phone is kept
+    code_hash VARCHAR(64),
+    code_sent_at TIMESTAMP WITH TIME ZONE,
+    code_expires_at TIMESTAMP WITH TIME ZONE,
+    code_attempts INTEGER DEFAULT 0,
+    phone_verified_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
+    reviewed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.place_claims ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access place claims" ON public.place_claims FOR ALL USING (true);
+
+-- One pending claim per user and place
+CREATE UNIQUE INDEX IF NOT EXISTS idx_place_claims_pending ON public.place_claims(place_id, user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_place_claims_status ON public.place_claims(status, created_at);
+
+-- ============================================
+-- LIVE LOCATION (food trucks)
+-- ============================================
+
+-- Last position pushed by the owner over the socket; NULL for places that never moved
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- ORDER STATUS HISTORY
+-- ============================================
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- One row per status change: when it happened and who made it
+CREATE TABLE IF NOT EXISTS public.order_status_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID REFERENCES public.orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) CHECK (actor_role IN ('customer', 'owner', 'admin')),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.order_status_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access order status events" ON public.order_status_events FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_events_order ON public.order_status_events(order_id, created_at);
+
+-- ============================================
+-- RESTAURANT ORDERS DASHBOARD
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_orders_place_status ON public.orders(place_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_place_updated ON public.orders(place_id, updated_at);
+
+-- ============================================
+-- ORDER PRICING
+-- ============================================
+
+-- Columns written by order creation that the orders table was missing
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS service_fee DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS fulfillment VARCHAR(20) DEFAULT 'delivery' CHECK (fulfillment IN ('delivery', 'pickup'));
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS delivery_location GEOGRAPHY(POINT, 4326);
+
+-- ============================================
+-- COUPONS
+-- ============================================
+
+-- Promo codes: a percentage (capped by max_discount) or a fixed amount off the subtotal
+-- categories are menu category names (the discount then covers those items only)
+-- Empty place_ids / categories mean the coupon is valid everywhere
+CREATE TABLE IF NOT EXISTS public.coupons (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(40) NOT NULL UNIQUE,
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    max_discount DECIMAL(10, 2),
+    min_subtotal DECIMAL(10, 2) DEFAULT 0,
+    usage_limit INTEGER,
+    per_user_limit INTEGER DEFAULT 1,
+    times_used INTEGER DEFAULT 0,
+    place_ids UUID[] DEFAULT '{}',
+    categories TEXT[] DEFAULT '{}',
+    first_order_only BOOLEAN DEFAULT FALSE,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (discount_type = 'fixed' OR discount_value <= 100)
+);
+
+-- One row per order that used a coupon; removed again if the order is cancelled
+CREATE TABLE IF NOT EXISTS public.coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    coupon_id UUID REFERENCES public.coupons(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES public.orders(id) ON DELETE CASCADE UNIQUE,
+    discount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.coupon_redemptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access coupons" ON public.coupons FOR ALL USING (true);
+CREATE POLICY "Service role full access coupon redemptions" ON public.coupon_redemptions FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user ON public.coupon_redemptions(coupon_id, user_id);
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS discount DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES public.coupons(id) ON DELETE SET NULL;
+
+-- Place categories saved before categories meant menu categories restricted nothing (only food places take orders)
+UPDATE public.coupons SET categories = '{}'
+WHERE categories <> '{}' AND categories <@ ARRAY['food', 'health', 'vet', 'admin']::TEXT[];
+
+-- ============================================
+-- POINTS AT CHECKOUT
+-- ============================================
+
+-- Points spent on an order and the amount they paid; refunded if the order is cancelled
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS points_redeemed INTEGER DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS points_discount DECIMAL(10, 2) DEFAULT 0;
+
+-- Signed points movements read by GET /api/users/points-history
+CREATE TABLE IF NOT EXISTS public.points_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    points INTEGER NOT NULL,
+    action VARCHAR(40) NOT NULL,
+    description TEXT,
+    reference_type VARCHAR(20),
+    reference_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.points_history ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access points history" ON public.points_history FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_points_history_user ON public.points_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_points_history_reference ON public.points_history(reference_type, reference_id);
+
+-- ============================================
+-- POINTS LEDGER
+-- ============================================
+
+-- users.points is the sum of the user's points_history entries, refreshed by the points service
+-- Points given before every award was recorded become one opening entry per user
+INSERT INTO public.points_history (user_id, points, action, description)
+SELECT u.id, COALESCE(u.points, 0) - COALESCE(h.total, 0), 'opening_balance', 'Points earned before the history was kept'
+FROM public.users u
+LEFT JOIN (SELECT user_id, SUM(points) as total FROM public.points_history GROUP BY user_id) h ON h.user_id = u.id
+WHERE COALESCE(u.points, 0) - COALESCE(h.total, 0) <> 0;
+
+-- ============================================
+-- BADGES
+-- ============================================
+
+-- criteria is read by services/badges.js: { "metric": ..., "count": N, ...options }
+CREATE TABLE IF NOT EXISTS public.badges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(40) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon VARCHAR(20),
+    points_required INTEGER DEFAULT 0,
+    criteria JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.user_badges (
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    badge_id UUID REFERENCES public.badges(id) ON DELETE CASCADE,
+    earned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, badge_id)
+);
+
+ALTER TABLE public.badges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_badges ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can view badges" ON public.badges FOR SELECT USING (true);
+CREATE POLICY "Service role full access badges" ON public.badges FOR ALL USING (true);
+CREATE POLICY "Service role full access user badges" ON public.user_badges FOR ALL USING (true);
+
+INSERT INTO public.badges (code, name, description, icon, points_required, criteria) VALUES
+    ('first_order', 'First Bite', 'Your first order was delivered', '🍽️', 0, '{"metric": "orders", "count": 1}'),
+    ('regular', 'Regular', '10 orders delivered', '🛵', 0, '{"metric": "orders", "count": 10}'),
+    ('first_review', 'First Words', 'You wrote your first review', '✍️', 0, '{"metric": "reviews", "count": 1}'),
+    ('local_critic', 'Local Critic', '10 reviews written', '⭐', 0, '{"metric": "reviews", "count": 10}'),
+    ('scout', 'Scout', '5 of your place submissions were approved', '🧭', 0, '{"metric": "approved_submissions", "count": 5}'),
+    ('explorer', 'Explorer', 'Places visited in 3 cities', '🗺️', 0, '{"metric": "cities_visited", "count": 3}'),
+    ('on_a_roll', 'On a Roll', 'Points earned 4 weeks in a row', '🔥', 0, '{"metric": "streak", "activity": "points", "period": "week", "count": 4}'),
+    ('high_scorer', 'High Scorer', '500 points collected', '🏆', 500, '{"metric": "points", "count": 500}')
+ON CONFLICT (code) DO UPDATE SET
+    name = EXCLUDED.name,
+    description = EXCLUDED.description,
+    icon = EXCLUDED.icon,
+    points_required = EXCLUDED.points_required,
+    criteria = EXCLUDED.criteria;
+
+-- ============================================
+-- LEADERBOARDS
+-- ============================================
+
+-- City shown on the profile and used by city leaderboards
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+CREATE INDEX IF NOT EXISTS idx_users_city ON public.users(LOWER(city));
+
+-- Weekly and monthly boards sum recent ledger entries
+CREATE INDEX IF NOT EXISTS idx_points_history_created ON public.points_history(created_at);
+
+-- ============================================
+-- APPOINTMENT SLOTS
+-- ============================================
+
+-- Bookable slots of a doctor (doctor_id is the place of the practice)
+CREATE TABLE IF NOT EXISTS public.doctor_availability (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    doctor_id UUID REFERENCES public.places(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    time_slot VARCHAR(10) NOT NULL,
+    is_booked BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (doctor_id, date, time_slot)
+);
+
+ALTER TABLE public.doctor_availability ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can view doctor availability" ON public.doctor_availability FOR SELECT USING (true);
+CREATE POLICY "Service role full access doctor availability" ON public.doctor_availability FOR ALL USING (true);
+
+-- Columns written by the booking routes (alongside appointment_date and appointment_time)
+ALTER TABLE public.appointments ADD COLUMN IF NOT EXISTS date DATE;
+ALTER TABLE public.appointments ADD COLUMN IF NOT EXISTS time_slot VARCHAR(10);
+ALTER TABLE public.appointments ADD COLUMN IF NOT EXISTS fee DECIMAL(10, 2);
+ALTER TABLE public.appointments ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- The booking routes identify a doctor by the place of the practice, like doctor_availability
+-- Rows written under the old constraint hold a doctors.id: move them to that doctor's place first
+ALTER TABLE public.appointments DROP CONSTRAINT IF EXISTS appointments_doctor_id_fkey;
+UPDATE public.appointments a SET doctor_id = d.place_id
+FROM public.doctors d
+WHERE a.doctor_id = d.id AND d.place_id IS NOT NULL;
+UPDATE public.appointments SET doctor_id = NULL
+WHERE doctor_id IS NOT NULL AND doctor_id NOT IN (SELECT id FROM public.places);
+ALTER TABLE public.appointments ADD CONSTRAINT appointments_doctor_id_fkey
+    FOREIGN KEY (doctor_id) REFERENCES public.places(id) ON DELETE CASCADE;
+
+-- Older rows only have appointment_date and appointment_time
+UPDATE public.appointments
+SET date = appointment_date, time_slot = to_char(appointment_time, 'HH24:MI')
+WHERE date IS NULL AND appointment_date IS NOT NULL;
+
+-- Slots booked twice before bookings were atomic keep their first appointment; the others are cancelled
+UPDATE public.appointments SET status = 'cancelled', cancellation_reason = 'Slot was double-booked'
+WHERE id IN (
+    SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY doctor_id, date, time_slot ORDER BY created_at, id) as position
+        FROM public.appointments
+        WHERE status <> 'cancelled' AND doctor_id IS NOT NULL AND date IS NOT NULL AND time_slot IS NOT NULL
+    ) ranked
+    WHERE position > 1
+);
+
+-- At most one live appointment per slot, whatever path wrote it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_slot ON public.appointments(doctor_id, date, time_slot)
+    WHERE status <> 'cancelled';
@@ -14,16 +14,29 @@ require('./config/firebase');
 const authRoutes = require('./routes/auth');
 const usersRoutes = require('./routes/users');
 const placesRoutes = require('./routes/places');
+const menuRoutes = require('./routes/menu');
+const reviewsRoutes = require('./routes/reviews');
+const placeEditsRoutes = require('./routes/placeEdits');
+const placeOrdersRoutes = require('./routes/placeOrders');
 const ordersRoutes = require('./routes/orders');
 const healthRoutes = require('./routes/health');
 const appointmentsRoutes = require('./routes/appointments');
 const adminRoutes = require('./routes/admin');
 const subsRoutes = require('./routes/subs');
 const notificationsRoutes = require('./routes/notifications');
+const favoritesRoutes = require('./routes/favorites');
+const moderationRoutes = require('./routes/moderation');
+const claimsRoutes = require('./routes/claims');
+const couponsRoutes = require('./routes/coupons');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { rateLimiter } = require('./middleware/rateLimiter');
+const { authenticateSocket, findOwnedPlace, UUID_PATTERN } = require('./middleware/auth');
+
+// Import socket helpers
+const { updateLiveLocation } = require('./services/liveLocation');
+const { areaRoom, areaRoomsForBounds, MAX_AREA_CELLS } = require('./utils/liveAreas');
 
 // Initialize Express app
 const app = express();
@@ -84,12 +97,20 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/places', placesRoutes);
+app.use('/api/places/:id/menu', menuRoutes);
+app.use('/api/places/:id/reviews', reviewsRoutes);
+app.use('/api/places/:id/edits', placeEditsRoutes);
+app.use('/api/places/:id/orders', placeOrdersRoutes);
 app.use('/api/orders', ordersRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/appointments', appointmentsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/subs', subsRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/favorites', favoritesRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/claims', claimsRoutes);
+app.use('/api/coupons', couponsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -109,42 +130,105 @@ app.use(errorHandler);
 // Store connected users
 const connectedUsers = new Map();
 
+/**
+ * Whether a value is a finite coordinate within range
+ * @param {*} value - Candidate
+ * @param {number} limit - 90 for latitudes, 180 for longitudes
+ * @returns {boolean} Valid coordinate
+ */
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
-    // User joins with their ID
-    socket.on('user:join', (userId) => {
+    // User joins their own room (order updates, notifications)
+    socket.on('user:join', (userId, ack) => {
+        if (!socket.user || socket.user.id !== userId) {
+            ack?.({ success: false, message: 'Authentication required' });
+            return;
+        }
         connectedUsers.set(userId, socket.id);
         socket.join(`user:${userId}`);
         console.log(`User ${userId} joined`);
+        ack?.({ success: true });
     });
 
-    // Place owner joins for real-time updates
-    socket.on('place:join', (placeId) => {
-        socket.join(`place:${placeId}`);
-        console.log(`Socket joined place room: ${placeId}`);
+    // Place owner joins for real-time order updates
+    // After a reconnect, fetch GET /api/places/:id/orders?updatedSince=<last serverTime> for missed events
+    socket.on('place:join', async (placeId, ack) => {
+        if (!socket.user) {
+            ack?.({ success: false, message: 'Authentication required' });
+            return;
+        }
+        if (!UUID_PATTERN.test(placeId)) {
+            ack?.({ success: false, message: 'placeId is required' });
+            return;
+        }
+
+        try {
+            await findOwnedPlace(socket.user, placeId);
+            socket.join(`place:${placeId}`);
+            console.log(`Socket joined place room: ${placeId}`);
+            ack?.({ success: true, serverTime: new Date().toISOString() });
+        } catch (error) {
+            if (!error.isOperational) console.error('Place join failed:', error);
+            ack?.({ success: false, message: error.isOperational ? error.message : 'Could not join place' });
+        }
     });
 
-    // Real-time location update from food trucks
-    socket.on('location:update', (data) => {
-        const { placeId, latitude, longitude } = data;
-        // Broadcast to all clients in the area
-        io.emit('location:updated', {
-            placeId,
-            latitude,
-            longitude,
-            timestamp: new Date().toISOString(),
+    // Map clients watch the area of their viewport for live locations
+    // Replaces the previous subscription; ack receives { success, rooms }
+    socket.on('area:subscribe', (bbox = {}, ack) => {
+        const { north, south, east, west } = bbox;
+        const valid = isCoordinate(north, 90) && isCoordinate(south, 90)
+            && isCoordinate(east, 180) && isCoordinate(west, 180) && south <= north && west <= east;
+        const rooms = valid ? areaRoomsForBounds(bbox) : null;
+
+        if (!rooms) {
+            ack?.({ success: false, message: `Send a viewport of at most ${MAX_AREA_CELLS} areas` });
+            return;
+        }
+
+        socket.rooms.forEach(room => {
+            if (room.startsWith('area:') && !rooms.includes(room)) socket.leave(room);
         });
+        socket.join(rooms);
+        ack?.({ success: true, rooms: rooms.length });
     });
 
-    // Order status update
-    socket.on('order:statusUpdate', (data) => {
-        const { orderId, userId, status } = data;
-        io.to(`user:${userId}`).emit('order:updated', {
-            orderId,
-            status,
-            timestamp: new Date().toISOString(),
-        });
+    // Real-time location update from food trucks (place owner only)
+    socket.on('location:update', async (data = {}, ack) => {
+        const { placeId, latitude, longitude } = data;
+
+        if (!socket.user) {
+            ack?.({ success: false, message: 'Authentication required' });
+            return;
+        }
+        if (!UUID_PATTERN.test(placeId) || !isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+            ack?.({ success: false, message: 'placeId, latitude and longitude are required' });
+            return;
+        }
+
+        try {
+            const { previous, updatedAt } = await updateLiveLocation(socket.user, { placeId, latitude, longitude });
+
+            // Viewers of the area the truck left see it go, viewers of the new area see it arrive
+            const rooms = [areaRoom(latitude, longitude)];
+            if (previous.latitude !== null) rooms.push(areaRoom(previous.latitude, previous.longitude));
+
+            io.to(rooms).emit('location:updated', {
+                placeId,
+                latitude,
+                longitude,
+                timestamp: updatedAt,
+            });
+            ack?.({ success: true, timestamp: updatedAt });
+        } catch (error) {
+            if (!error.isOperational) console.error('Location update failed:', error);
+            ack?.({ success: false, message: error.isOperational ? error.message : 'Location update failed' });
+        }
     });
 
     // Disconnect
@@ -3,8 +3,11 @@
 
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
+const db = require('../config/database');
 const { createError } = require('./errorHandler');
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Verify JWT token and attach user to request
  */
@@ -78,6 +81,36 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Socket.io middleware: attach the user when the handshake carries a token
+ * Clients connect with io(url, { auth: { token } }); connections without a token stay anonymous
+ */
+const authenticateSocket = async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name, role, points')
+            .eq('id', decoded.userId)
+            .single();
+
+        if (error || !user) {
+            return next(new Error('User not found'));
+        }
+
+        socket.user = user;
+        next();
+    } catch (error) {
+        next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+};
+
 /**
  * Check if user has required role
  * @param  {...string} roles - Allowed roles
@@ -116,10 +149,62 @@ const isAdmin = (req, res, next) => {
     next();
 };
 
+/**
+ * Load a place the user owns (admins own every place), or throw 404/403
+ * @param {Object} user - Authenticated user (id, role)
+ * @param {string} placeId - Place ID (anything but a UUID is not found)
+ * @returns {Promise<Object>} { id, owner_id, category, archived_at }
+ */
+const findOwnedPlace = async (user, placeId) => {
+    if (!UUID_PATTERN.test(placeId || '')) {
+        throw createError.notFound('Place not found');
+    }
+
+    const result = await db.query(
+        'SELECT id, owner_id, category, archived_at FROM places WHERE id = $1',
+        [placeId]
+    );
+
+    if (result.rows.length === 0) {
+        throw createError.notFound('Place not found');
+    }
+
+    const place = result.rows[0];
+    if (user.role !== 'admin' && place.owner_id !== user.id) {
+        throw createError.forbidden('You do not own this place');
+    }
+    return place;
+};
+
+/**
+ * Check that the user owns the place in the route params (admins always pass)
+ * Use after authorize() so only owner roles reach the lookup
+ * Attaches the place row as req.place
+ * @param {string} param - Route param holding the place ID
+ */
+const isPlaceOwner = (param = 'id') => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                throw createError.unauthorized('Authentication required');
+            }
+
+            req.place = await findOwnedPlace(req.user, req.params[param]);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
 module.exports = {
     authenticate,
     optionalAuth,
+    authenticateSocket,
     authorize,
     isSub,
     isAdmin,
+    isPlaceOwner,
+    findOwnedPlace,
+    UUID_PATTERN,
 };
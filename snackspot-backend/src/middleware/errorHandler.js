@@ -30,8 +30,8 @@ const createError = {
     notFound: (message = 'Resource not found') =>
         new ApiError(404, message),
 
-    conflict: (message = 'Resource already exists') =>
-        new ApiError(409, message),
+    conflict: (message = 'Resource already exists', details = null) =>
+        new ApiError(409, message, details),
 
     tooManyRequests: (message = 'Too many requests') =>
         new ApiError(429, message),
@@ -85,6 +85,15 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // Handle upload errors (file too large, too many files...)
+    if (err.name === 'MulterError') {
+        return res.status(400).json({
+            success: false,
+            message: err.message,
+            code: err.code,
+        });
+    }
+
     // Handle PostgreSQL errors
     if (err.code) {
         // Unique violation
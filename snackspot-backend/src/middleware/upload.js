@@ -0,0 +1,206 @@
+// TAGHRA - Upload Middleware
+// Multer configuration for image and document uploads
+
+const fs = require('fs');
+const multer = require('multer');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./errorHandler');
+
+const ALLOWED_IMAGE_TYPES = /jpeg|jpg|png|webp/;
+const ALLOWED_DOCUMENT_TYPES = /jpeg|jpg|png|webp|pdf/;
+
+// Documents are kept outside uploads/ so the static route never serves them
+const PRIVATE_UPLOAD_DIR = 'private_uploads';
+
+// Leading bytes of each allowed format (WebP also carries "WEBP" at offset 8)
+const IMAGE_SIGNATURES = [
+    { type: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { type: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { type: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], tail: { offset: 8, text: 'WEBP' } },
+];
+
+const DOCUMENT_SIGNATURES = [
+    ...IMAGE_SIGNATURES,
+    { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+];
+
+/**
+ * Create a multer instance storing files with a random name
+ * @param {string} destination - Directory to store files in
+ * @param {RegExp} allowedTypes - Accepted extensions and mimetypes
+ * @param {string} rejection - Error message for other files
+ * @returns {Object} Multer instance
+ */
+const diskUpload = (destination, allowedTypes, rejection) => {
+    const storage = multer.diskStorage({
+        destination,
+        filename: (req, file, cb) => {
+            const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+            cb(null, uniqueName);
+        },
+    });
+
+    return multer({
+        storage,
+        limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+            const mimetype = allowedTypes.test(file.mimetype);
+            if (extname && mimetype) return cb(null, true);
+            cb(createError.badRequest(rejection));
+        },
+    });
+};
+
+/**
+ * Create a multer instance that stores images under uploads/<folder>/
+ * @param {string} folder - Sub-folder of uploads/
+ * @returns {Object} Multer instance
+ */
+const imageUpload = (folder) => diskUpload(`uploads/${folder}/`, ALLOWED_IMAGE_TYPES, 'Only images allowed');
+
+/**
+ * Create a multer instance that stores images and PDFs under private_uploads/<folder>/
+ * These files are not public; serve them through an authorized route with privateUploadPath
+ * @param {string} folder - Sub-folder of private_uploads/
+ * @returns {Object} Multer instance
+ */
+const documentUpload = (folder) => diskUpload(
+    `${PRIVATE_UPLOAD_DIR}/${folder}/`,
+    ALLOWED_DOCUMENT_TYPES,
+    'Only images or PDF documents allowed'
+);
+
+/**
+ * Absolute path of a privately stored file
+ * @param {string} folder - Sub-folder of private_uploads/
+ * @param {string} filename - Stored file name
+ * @returns {string} Path for res.sendFile
+ */
+const privateUploadPath = (folder, filename) => path.resolve(PRIVATE_UPLOAD_DIR, folder, path.basename(filename));
+
+/**
+ * Multer instance keeping a single data file (CSV, GeoJSON) in memory
+ * @param {number} maxSize - Maximum size in bytes
+ * @returns {Object} Multer instance
+ */
+const dataFileUpload = (maxSize = 20 * 1024 * 1024) => multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|geojson|json)$/i.test(file.originalname)) return cb(null, true);
+        cb(createError.badRequest('Only .csv, .geojson or .json files allowed'));
+    },
+});
+
+/**
+ * Public URL for an uploaded file
+ * @param {string} folder - Sub-folder of uploads/
+ * @param {Object} file - Multer file
+ * @returns {string} URL served by the /uploads static route
+ */
+const uploadedFileUrl = (folder, file) => `/uploads/${folder}/${file.filename}`;
+
+/**
+ * Delete uploaded files, e.g. when the request they came with is rejected
+ * @param {Array} files - Multer files
+ */
+const removeUploadedFiles = async (files = []) => {
+    await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+/**
+ * Check that a stored file starts with one of the given signatures
+ * The multer filter only sees the client-supplied name and mimetype
+ * @param {Object} file - Multer file
+ * @param {Array<Object>} signatures - IMAGE_SIGNATURES or DOCUMENT_SIGNATURES
+ * @returns {Promise<boolean>} Whether the content matches an allowed format
+ */
+const hasSignature = async (file, signatures) => {
+    const handle = await fs.promises.open(file.path, 'r');
+    try {
+        const header = Buffer.alloc(12);
+        await handle.read(header, 0, 12, 0);
+
+        return signatures.some(({ bytes, tail }) =>
+            bytes.every((byte, i) => header[i] === byte)
+            && (!tail || header.toString('ascii', tail.offset, tail.offset + tail.text.length) === tail.text)
+        );
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Reject the request unless every uploaded file matches the signatures
+ * Deletes all files of the request when one of them fails
+ * @param {Array} files - Multer files
+ * @param {Array<Object>} signatures - Allowed formats
+ * @param {string} message - Error message
+ */
+const assertFileSignatures = async (files, signatures, message) => {
+    const checks = await Promise.all(files.map(file => hasSignature(file, signatures)));
+    const invalid = files.filter((file, i) => !checks[i]).map(file => file.originalname);
+
+    if (invalid.length > 0) {
+        await removeUploadedFiles(files);
+        throw createError.badRequest(message, invalid);
+    }
+};
+
+/**
+ * Reject the request unless every uploaded file is a real JPEG, PNG or WebP image
+ * @param {Array} files - Multer files
+ */
+const assertImageFiles = (files = []) => assertFileSignatures(files, IMAGE_SIGNATURES, 'Uploaded files are not valid images');
+
+/**
+ * Reject the request unless every uploaded file is a real image or PDF
+ * @param {Array} files - Multer files
+ */
+const assertDocumentFiles = (files = []) => assertFileSignatures(files, DOCUMENT_SIGNATURES, 'Uploaded files are not valid images or PDFs');
+
+/**
+ * Copy uploaded files from one folder of uploads/ to another, keeping their names
+ * URLs outside /uploads/<fromFolder>/ are returned unchanged
+ * Delete `originals` once the new URLs are saved, or `copies` if saving fails
+ * @param {Array<string>} urls - Public URLs from uploadedFileUrl
+ * @param {string} fromFolder - Current sub-folder
+ * @param {string} toFolder - Target sub-folder
+ * @returns {Promise<Object>} { urls, copies, originals } (copies/originals are { path } like multer files)
+ */
+const copyUploads = async (urls = [], fromFolder, toFolder) => {
+    const prefix = `/uploads/${fromFolder}/`;
+    const copies = [];
+    const originals = [];
+
+    await fs.promises.mkdir(`uploads/${toFolder}`, { recursive: true });
+
+    const moved = await Promise.all(urls.map(async (url) => {
+        if (!url.startsWith(prefix)) return url;
+
+        const filename = path.basename(url);
+        const from = { path: `uploads/${fromFolder}/${filename}` };
+        const to = { path: `uploads/${toFolder}/${filename}` };
+
+        await fs.promises.copyFile(from.path, to.path);
+        copies.push(to);
+        originals.push(from);
+        return uploadedFileUrl(toFolder, { filename });
+    }));
+
+    return { urls: moved, copies, originals };
+};
+
+module.exports = {
+    imageUpload,
+    documentUpload,
+    dataFileUpload,
+    privateUploadPath,
+    uploadedFileUrl,
+    assertImageFiles,
+    assertDocumentFiles,
+    removeUploadedFiles,
+    copyUploads,
+};
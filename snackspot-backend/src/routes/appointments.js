@@ -3,13 +3,18 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { authenticate } = require('../middleware/auth');
+const { awardPoints, reversePoints } = require('../services/points');
+const { checkBadges } = require('../services/badges');
+const { bookSlot, cancelAppointment } = require('../services/appointments');
 
 const router = express.Router();
 
+// Points for booking, taken back if the appointment is cancelled
+const APPOINTMENT_POINTS = 5;
+
 /**
  * POST /api/appointments/book
  * Book an appointment
@@ -31,16 +36,6 @@ router.post('/book',
         const { doctorId, date, timeSlot, reason } = req.body;
         const userId = req.user.id;
 
-        // Check if slot is available
-        const slotCheck = await db.query(`
-      SELECT id FROM doctor_availability
-      WHERE doctor_id = $1 AND date = $2 AND time_slot = $3 AND is_booked = false
-    `, [doctorId, date, timeSlot]);
-
-        if (slotCheck.rows.length === 0) {
-            throw createError.conflict('Time slot not available');
-        }
-
         // Get doctor info
         const doctor = await db.query(`
       SELECT p.name, d.consultation_fee FROM places p
@@ -52,21 +47,28 @@ router.post('/book',
             throw createError.notFound('Doctor not found');
         }
 
-        // Create appointment
-        const appointmentId = uuidv4();
-        await db.query(`
-      INSERT INTO appointments (id, user_id, doctor_id, date, time_slot, reason, fee, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, 'confirmed')
-    `, [appointmentId, userId, doctorId, date, timeSlot, reason, doctor.rows[0].consultation_fee]);
-
-        // Mark slot as booked
-        await db.query(`
-      UPDATE doctor_availability SET is_booked = true
-      WHERE doctor_id = $1 AND date = $2 AND time_slot = $3
-    `, [doctorId, date, timeSlot]);
+        // Claiming the slot, creating the appointment and awarding points commit together
+        const { appointmentId, pointsEarned } = await db.withTransaction(async (client) => {
+            const id = await bookSlot(client, {
+                userId,
+                doctorId,
+                date,
+                timeSlot,
+                reason,
+                fee: doctor.rows[0].consultation_fee,
+            });
+
+            const points = await awardPoints(client, userId, APPOINTMENT_POINTS, {
+                action: 'appointment',
+                description: `Appointment with ${doctor.rows[0].name}`,
+                referenceType: 'appointment',
+                referenceId: id,
+            });
+
+            return { appointmentId: id, pointsEarned: points };
+        });
 
-        // Award points
-        await db.query('UPDATE users SET points = points + 5 WHERE id = $1', [userId]);
+        await checkBadges(userId, 'appointment');
 
         res.status(201).json({
             success: true,
@@ -79,7 +81,7 @@ router.post('/book',
                 fee: parseFloat(doctor.rows[0].consultation_fee),
                 status: 'confirmed',
             },
-            pointsEarned: 5,
+            pointsEarned,
         });
     })
 );
@@ -136,27 +138,17 @@ router.get('/my-appointments', authenticate, asyncHandler(async (req, res) => {
 router.put('/:id/cancel', authenticate, asyncHandler(async (req, res) => {
     const { reason } = req.body;
 
-    // Get appointment details
-    const apt = await db.query(`
-    SELECT doctor_id, date, time_slot FROM appointments
-    WHERE id = $1 AND user_id = $2 AND status = 'confirmed'
-  `, [req.params.id, req.user.id]);
-
-    if (apt.rows.length === 0) {
-        throw createError.badRequest('Appointment cannot be cancelled');
-    }
+    // Only a confirmed appointment is cancelled, so a repeated cancel cannot free the slot twice
+    await db.withTransaction(async (client) => {
+        await cancelAppointment(client, req.params.id, { userId: req.user.id, reason });
 
-    // Cancel appointment
-    await db.query(`
-    UPDATE appointments SET status = 'cancelled', cancellation_reason = $1
-    WHERE id = $2
-  `, [reason, req.params.id]);
-
-    // Free up time slot
-    await db.query(`
-    UPDATE doctor_availability SET is_booked = false
-    WHERE doctor_id = $1 AND date = $2 AND time_slot = $3
-  `, [apt.rows[0].doctor_id, apt.rows[0].date, apt.rows[0].time_slot]);
+        await reversePoints(client, {
+            action: 'appointment',
+            referenceType: 'appointment',
+            referenceId: req.params.id,
+            description: 'Points of a cancelled appointment',
+        });
+    });
 
     res.json({ success: true, message: 'Appointment cancelled' });
 }));
@@ -200,6 +200,7 @@ router.post('/login',
                 email: user.email,
                 fullName: user.full_name,
                 phone: user.phone,
+                city: user.city,
                 role: user.role,
                 points: user.points,
             },
@@ -277,6 +278,7 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
             email: user.email,
             fullName: user.full_name,
             phone: user.phone,
+            city: user.city,
             role: user.role,
             points: user.points,
             avatarUrl: user.avatar_url,
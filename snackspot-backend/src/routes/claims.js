@@ -0,0 +1,224 @@
+// TAGHRA - Business Claims Routes
+// A business claims a listed place: proof documents, a code texted to the listed phone, then admin review
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const { documentUpload, assertDocumentFiles, removeUploadedFiles } = require('../middleware/upload');
+const { CLAIM_ROLES, sendClaimCode, checkClaimCode, formatClaim } = require('../services/claims');
+
+const router = express.Router();
+
+const upload = documentUpload('claims');
+
+// Proof documents accepted with one claim (trade register, licence, ID...)
+const MAX_CLAIM_DOCUMENTS = 5;
+
+router.use(authenticate, authorize('restaurant', 'doctor', 'vet'));
+
+/**
+ * Load one of the user's claims with its place, or throw 404
+ * @param {Object} executor - db module or transaction client
+ * @param {string} claimId - Claim ID
+ * @param {string} userId - Claimant
+ * @param {boolean} lock - Lock the claim for the rest of the transaction
+ * @returns {Promise<Object>} Claim row with place_name and place_phone
+ */
+const findOwnClaim = async (executor, claimId, userId, lock = false) => {
+    const result = await executor.query(`
+    SELECT c.*, p.name as place_name, p.phone as place_phone
+    FROM place_claims c
+    JOIN places p ON c.place_id = p.id
+    WHERE c.id = $1 AND c.user_id = $2
+    ${lock ? 'FOR UPDATE OF c' : ''}
+  `, [claimId, userId]);
+
+    if (result.rows.length === 0) {
+        throw createError.notFound('Claim not found');
+    }
+    return result.rows[0];
+};
+
+/**
+ * POST /api/claims
+ * Claim a place (multipart: placeId, message, up to 5 `documents`) and text a code to its listed phone
+ */
+router.post('/',
+    upload.array('documents', MAX_CLAIM_DOCUMENTS),
+    [
+        body('placeId').isUUID(),
+        body('message').optional().trim().isLength({ max: 1000 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const files = req.files || [];
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw createError.badRequest('Validation failed', errors.array());
+            }
+            if (files.length === 0) {
+                throw createError.badRequest('At least one proof document is required');
+            }
+            await assertDocumentFiles(files);
+
+            const placeResult = await db.query(
+                'SELECT id, name, category, phone, owner_id, archived_at FROM places WHERE id = $1',
+                [req.body.placeId]
+            );
+            if (placeResult.rows.length === 0) {
+                throw createError.notFound('Place not found');
+            }
+
+            const place = placeResult.rows[0];
+            if (place.archived_at) {
+                throw createError.badRequest('Archived places cannot be claimed');
+            }
+            if (place.owner_id) {
+                throw createError.conflict('This place already has an owner');
+            }
+            if (CLAIM_ROLES[place.category] !== req.user.role) {
+                throw createError.forbidden('Your account type cannot claim this kind of place');
+            }
+            if (!place.phone) {
+                throw createError.badRequest('This place has no listed phone to verify, please contact support');
+            }
+
+            const documents = files.map(file => ({
+                filename: file.filename,
+                originalName: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+            }));
+
+            // The claim is only kept once its code went out, so a failed SMS leaves nothing pending
+            const { claim, verification } = await db.withTransaction(async (client) => {
+                const result = await client.query(`
+          INSERT INTO place_claims (place_id, user_id, message, documents)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (place_id, user_id) WHERE status = 'pending' DO NOTHING
+          RETURNING *
+        `, [place.id, req.user.id, req.body.message || null, JSON.stringify(documents)]);
+
+                if (result.rows.length === 0) {
+                    throw createError.conflict('You already have a pending claim for this place');
+                }
+
+                return {
+                    claim: result.rows[0],
+                    verification: await sendClaimCode(client, result.rows[0], place.phone, place.name),
+                };
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Claim submitted. Enter the code sent to the phone listed on the place.',
+                data: {
+                    ...formatClaim({ ...claim, place_name: place.name, place_phone: place.phone }),
+                    verification,
+                },
+            });
+        } catch (error) {
+            await removeUploadedFiles(files);
+            throw error;
+        }
+    })
+);
+
+/**
+ * GET /api/claims/mine
+ * Claims made by the current user
+ */
+router.get('/mine', asyncHandler(async (req, res) => {
+    const result = await db.query(`
+    SELECT c.*, p.name as place_name, p.phone as place_phone
+    FROM place_claims c
+    JOIN places p ON c.place_id = p.id
+    WHERE c.user_id = $1
+    ORDER BY c.created_at DESC
+  `, [req.user.id]);
+
+    res.json({
+        success: true,
+        data: result.rows.map(formatClaim),
+    });
+}));
+
+/**
+ * POST /api/claims/:claimId/verify
+ * Confirm the code texted to the place's phone
+ */
+router.post('/:claimId/verify',
+    [
+        param('claimId').isUUID(),
+        body('code').isString().matches(/^\d{6}$/),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        // Failed attempts are committed before answering so they count towards the limit
+        const matches = await db.withTransaction(async (client) => {
+            const claim = await findOwnClaim(client, req.params.claimId, req.user.id, true);
+
+            if (claim.status !== 'pending') {
+                throw createError.conflict(`Claim already ${claim.status}`);
+            }
+            if (claim.phone_verified_at) {
+                throw createError.conflict('Phone already verified');
+            }
+
+            return checkClaimCode(client, claim, req.body.code);
+        });
+
+        if (!matches) {
+            throw createError.badRequest('Invalid code');
+        }
+
+        res.json({
+            success: true,
+            message: 'Phone verified. An admin will review your documents.',
+            data: { id: req.params.claimId, isPhoneVerified: true },
+        });
+    })
+);
+
+/**
+ * POST /api/claims/:claimId/resend-code
+ * Text a new code to the place's phone
+ */
+router.post('/:claimId/resend-code',
+    [param('claimId').isUUID()],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const claim = await findOwnClaim(db, req.params.claimId, req.user.id);
+
+        if (claim.status !== 'pending') {
+            throw createError.conflict(`Claim already ${claim.status}`);
+        }
+        if (claim.phone_verified_at) {
+            throw createError.conflict('Phone already verified');
+        }
+        if (!claim.place_phone) {
+            throw createError.badRequest('This place has no listed phone to verify, please contact support');
+        }
+
+        const verification = await sendClaimCode(db, claim, claim.place_phone, claim.place_name);
+
+        res.json({
+            success: true,
+            message: 'Code sent',
+            data: verification,
+        });
+    })
+);
+
+module.exports = router;
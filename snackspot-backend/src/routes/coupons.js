@@ -0,0 +1,264 @@
+// TAGHRA - Coupons Routes
+// Promo code campaigns managed by admins (customers use codes through /api/orders)
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const { normalizeCode, formatCoupon } = require('../services/coupons');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// Fields an admin may change after creation; the code and the discount itself are fixed once customers hold it
+const UPDATABLE_FIELDS = {
+    description: 'description',
+    maxDiscount: 'max_discount',
+    minSubtotal: 'min_subtotal',
+    usageLimit: 'usage_limit',
+    perUserLimit: 'per_user_limit',
+    placeIds: 'place_ids',
+    categories: 'categories',
+    firstOrderOnly: 'first_order_only',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    isActive: 'is_active',
+};
+
+/**
+ * Validators shared by creation and update (all optional here)
+ */
+const couponRuleValidators = [
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    body('minSubtotal').optional().isFloat({ min: 0 }).toFloat(),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    body('placeIds').optional().isArray({ max: 100 }),
+    body('placeIds.*').isUUID(),
+    body('categories').optional().isArray({ max: 50 }),
+    body('categories.*').isString().trim().isLength({ min: 1, max: 100 }),
+    body('firstOrderOnly').optional().isBoolean().toBoolean(),
+    body('startsAt').optional({ nullable: true }).isISO8601(),
+    body('endsAt').optional({ nullable: true }).isISO8601(),
+];
+
+/**
+ * Throw when the validity window ends before it starts
+ * @param {string|Date|null} startsAt - Start of the window
+ * @param {string|Date|null} endsAt - End of the window
+ */
+const assertValidWindow = (startsAt, endsAt) => {
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+        throw createError.badRequest('The coupon must end after it starts');
+    }
+};
+
+/**
+ * GET /api/coupons
+ * Coupons with their usage, newest first
+ */
+router.get('/',
+    [
+        query('active').optional().isBoolean(),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { active, limit = 50, offset = 0 } = req.query;
+
+        const params = [];
+        let queryText = `
+      SELECT c.*,
+        COALESCE((SELECT SUM(discount) FROM coupon_redemptions WHERE coupon_id = c.id), 0) as total_discount,
+        COUNT(*) OVER() as total_count
+      FROM coupons c
+    `;
+
+        if (active !== undefined) {
+            params.push(active === 'true');
+            queryText += ` WHERE c.is_active = $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        queryText += ` ORDER BY c.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        const result = await db.query(queryText, params);
+
+        res.json({
+            success: true,
+            data: result.rows.map(c => ({
+                ...formatCoupon(c),
+                totalDiscount: parseFloat(c.total_discount),
+            })),
+            meta: {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+            },
+        });
+    })
+);
+
+/**
+ * POST /api/coupons
+ * Create a coupon
+ */
+router.post('/',
+    [
+        body('code').trim().matches(/^[A-Za-z0-9_-]{3,40}$/)
+            .withMessage('Codes are 3 to 40 letters, digits, dashes or underscores')
+            .customSanitizer(normalizeCode),
+        body('discountType').isIn(['percent', 'fixed']),
+        body('discountValue').isFloat({ gt: 0 }).toFloat(),
+        ...couponRuleValidators,
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const {
+            code, description, discountType, discountValue, maxDiscount = null, minSubtotal = 0,
+            usageLimit = null, perUserLimit = 1, placeIds = [], categories = [], firstOrderOnly = false,
+            startsAt = null, endsAt = null,
+        } = req.body;
+
+        if (discountType === 'percent' && discountValue > 100) {
+            throw createError.badRequest('A percentage discount cannot exceed 100');
+        }
+        assertValidWindow(startsAt, endsAt);
+
+        const result = await db.query(`
+      INSERT INTO coupons
+      (code, description, discount_type, discount_value, max_discount, min_subtotal, usage_limit, per_user_limit,
+       place_ids, categories, first_order_only, starts_at, ends_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+            code, description, discountType, discountValue, maxDiscount, minSubtotal, usageLimit, perUserLimit,
+            placeIds, categories, firstOrderOnly, startsAt, endsAt, req.user.id,
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created',
+            data: formatCoupon(result.rows[0]),
+        });
+    })
+);
+
+/**
+ * PUT /api/coupons/:id
+ * Change the rules of a coupon or switch it off (isActive: false)
+ */
+router.put('/:id',
+    [
+        param('id').isUUID(),
+        ...couponRuleValidators,
+        body('isActive').optional().isBoolean().toBoolean(),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const updates = [];
+        const values = [];
+        Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                values.push(req.body[field]);
+                updates.push(`${column} = $${values.length}`);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw createError.badRequest('No fields to update');
+        }
+
+        const coupon = await db.withTransaction(async (client) => {
+            const current = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (current.rows.length === 0) {
+                throw createError.notFound('Coupon not found');
+            }
+
+            const { startsAt = current.rows[0].starts_at, endsAt = current.rows[0].ends_at } = req.body;
+            assertValidWindow(startsAt, endsAt);
+
+            values.push(req.params.id);
+            const result = await client.query(`
+        UPDATE coupons SET ${updates.join(', ')}, updated_at = NOW()
+        WHERE id = $${values.length}
+        RETURNING *
+      `, values);
+            return result.rows[0];
+        });
+
+        res.json({
+            success: true,
+            message: 'Coupon updated',
+            data: formatCoupon(coupon),
+        });
+    })
+);
+
+/**
+ * GET /api/coupons/:id/redemptions
+ * Orders that used a coupon
+ */
+router.get('/:id/redemptions',
+    [
+        param('id').isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { limit = 50, offset = 0 } = req.query;
+
+        const result = await db.query(`
+      SELECT r.*, u.full_name as user_name, o.place_id, o.total, o.status,
+        COUNT(*) OVER() as total_count
+      FROM coupon_redemptions r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN orders o ON r.order_id = o.id
+      WHERE r.coupon_id = $1
+      ORDER BY r.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.params.id, limit, offset]);
+
+        res.json({
+            success: true,
+            data: result.rows.map(r => ({
+                id: r.id,
+                orderId: r.order_id,
+                placeId: r.place_id,
+                user: { id: r.user_id, name: r.user_name },
+                discount: parseFloat(r.discount),
+                orderTotal: r.total === null ? null : parseFloat(r.total),
+                orderStatus: r.status,
+                createdAt: r.created_at,
+            })),
+            meta: {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+            },
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// TAGHRA - Favorites Routes
+// Saved places, synced across devices
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Load the user's favorites with a place summary, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Favorite payloads
+ */
+const listFavorites = async (userId) => {
+    const result = await db.query(`
+    SELECT
+      f.place_id, f.created_at as favorited_at,
+      p.name, p.category, p.address, p.rating, p.review_count, p.photos,
+      ST_Y(p.location::geometry) as latitude,
+      ST_X(p.location::geometry) as longitude
+    FROM favorites f
+    JOIN places p ON f.place_id = p.id
+    WHERE f.user_id = $1 AND p.archived_at IS NULL
+    ORDER BY f.created_at DESC
+  `, [userId]);
+
+    return result.rows.map(f => ({
+        placeId: f.place_id,
+        favoritedAt: f.favorited_at,
+        place: {
+            id: f.place_id,
+            name: f.name,
+            category: f.category,
+            address: f.address,
+            latitude: f.latitude,
+            longitude: f.longitude,
+            rating: parseFloat(f.rating) || 0,
+            reviewCount: f.review_count,
+            photos: f.photos || [],
+        },
+    }));
+};
+
+/**
+ * GET /api/favorites
+ * Get the user's favorite places
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await listFavorites(req.user.id),
+    });
+}));
+
+/**
+ * POST /api/favorites/sync
+ * Merge favorites saved on a device (e.g. while logged out) and return the full list
+ */
+router.post('/sync',
+    authenticate,
+    [
+        body('placeIds').isArray({ max: 500 }),
+        body('placeIds.*').isUUID(),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { placeIds } = req.body;
+
+        if (placeIds.length > 0) {
+            // Unknown or archived places are skipped rather than failing the whole sync
+            await db.query(`
+        INSERT INTO favorites (user_id, place_id)
+        SELECT $1, p.id FROM places p
+        WHERE p.id = ANY($2) AND p.archived_at IS NULL
+        ON CONFLICT (user_id, place_id) DO NOTHING
+      `, [req.user.id, placeIds]);
+        }
+
+        res.json({
+            success: true,
+            data: await listFavorites(req.user.id),
+        });
+    })
+);
+
+/**
+ * POST /api/favorites/:placeId
+ * Add a place to favorites (idempotent)
+ */
+router.post('/:placeId',
+    authenticate,
+    [param('placeId').isUUID()],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const place = await db.query(
+            'SELECT id FROM places WHERE id = $1 AND archived_at IS NULL',
+            [req.params.placeId]
+        );
+        if (place.rows.length === 0) {
+            throw createError.notFound('Place not found');
+        }
+
+        await db.query(`
+      INSERT INTO favorites (user_id, place_id)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id, place_id) DO NOTHING
+    `, [req.user.id, req.params.placeId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to favorites',
+            data: { placeId: req.params.placeId, isFavorite: true },
+        });
+    })
+);
+
+/**
+ * DELETE /api/favorites/:placeId
+ * Remove a place from favorites (idempotent)
+ */
+router.delete('/:placeId',
+    authenticate,
+    [param('placeId').isUUID()],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        await db.query(
+            'DELETE FROM favorites WHERE user_id = $1 AND place_id = $2',
+            [req.user.id, req.params.placeId]
+        );
+
+        res.json({
+            success: true,
+            message: 'Removed from favorites',
+            data: { placeId: req.params.placeId, isFavorite: false },
+        });
+    })
+);
+
+module.exports = router;
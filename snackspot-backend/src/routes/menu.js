@@ -0,0 +1,685 @@
+// TAGHRA - Menu Management Routes
+// Owner-only CRUD for menu categories and items
+// Mounted at /api/places/:id/menu (the public GET lives in places.js)
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, authorize, isPlaceOwner } = require('../middleware/auth');
+const { imageUpload, uploadedFileUrl, removeUploadedFiles } = require('../middleware/upload');
+const {
+    MODIFIERS_QUERY,
+    buildModifiersQuery,
+    groupModifierRows,
+    validateModifierGroup,
+} = require('../utils/modifiers');
+
+const router = express.Router({ mergeParams: true });
+
+const upload = imageUpload('menu');
+
+// The 14 allergens restaurants must declare
+const ALLERGENS = [
+    'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soy', 'milk',
+    'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+];
+
+/**
+ * Format a menu item row for API responses
+ * @param {Object} item - menu_items row
+ * @returns {Object} Menu item payload
+ */
+const formatItem = (item) => ({
+    id: item.id,
+    categoryId: item.category_id,
+    name: item.name,
+    description: item.description,
+    price: parseFloat(item.price),
+    image: item.image_url,
+    isAvailable: item.is_available,
+    isPopular: item.is_popular,
+    allergens: item.allergens || [],
+    sortOrder: item.sort_order,
+});
+
+/**
+ * Format a menu category row for API responses
+ * @param {Object} category - menu_categories row
+ * @returns {Object} Menu category payload
+ */
+const formatCategory = (category) => ({
+    id: category.id,
+    name: category.name,
+    description: category.description,
+    sortOrder: category.sort_order,
+});
+
+/**
+ * Throw on express-validator errors
+ * @param {Object} req - Express request
+ */
+const assertValid = (req) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw createError.badRequest('Validation failed', errors.array());
+    }
+};
+
+/**
+ * Only food places have menus
+ */
+const isFoodPlace = (req, res, next) => {
+    if (req.place.category !== 'food') {
+        return next(createError.badRequest('Menu only available for food places'));
+    }
+    next();
+};
+
+// Every route below is limited to the place owner
+router.use(authenticate, authorize('restaurant', 'admin'), isPlaceOwner(), isFoodPlace);
+
+/**
+ * Check that a list of IDs is a complete, duplicate-free ordering
+ * @param {Array<string>} order - IDs in their new order
+ * @param {number} expected - Number of rows being reordered
+ */
+const assertCompleteOrder = (order, expected) => {
+    if (new Set(order).size !== order.length || order.length !== expected) {
+        throw createError.badRequest('Order must list every entry exactly once');
+    }
+};
+
+/**
+ * GET /api/places/:id/menu/manage
+ * Full menu for the owner, including unavailable items
+ */
+router.get('/manage', asyncHandler(async (req, res) => {
+    const categories = await db.query(`
+    SELECT id, name, description, sort_order
+    FROM menu_categories
+    WHERE place_id = $1
+    ORDER BY sort_order, created_at
+  `, [req.params.id]);
+
+    const items = await db.query(`
+    SELECT id, category_id, name, description, price, image_url, is_available, is_popular, allergens, sort_order
+    FROM menu_items
+    WHERE place_id = $1
+    ORDER BY sort_order, created_at
+  `, [req.params.id]);
+
+    const modifiers = groupModifierRows((await db.query(
+        MODIFIERS_QUERY,
+        [items.rows.map(i => i.id)]
+    )).rows);
+
+    res.json({
+        success: true,
+        data: categories.rows.map(category => ({
+            ...formatCategory(category),
+            items: items.rows
+                .filter(i => i.category_id === category.id)
+                .map(i => ({ ...formatItem(i), modifierGroups: modifiers.get(i.id) || [] })),
+        })),
+    });
+}));
+
+/**
+ * POST /api/places/:id/menu/categories
+ * Create a menu category (appended at the end unless sortOrder is given)
+ */
+router.post('/categories',
+    [
+        body('name').trim().notEmpty().isLength({ max: 100 }),
+        body('description').optional().trim().isLength({ max: 500 }),
+        body('sortOrder').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { name, description, sortOrder } = req.body;
+
+        const result = await db.query(`
+      INSERT INTO menu_categories (place_id, name, description, sort_order)
+      VALUES ($1, $2, $3, COALESCE($4, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM menu_categories WHERE place_id = $1)))
+      RETURNING id, name, description, sort_order
+    `, [req.params.id, name, description, sortOrder]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created',
+            data: formatCategory(result.rows[0]),
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/menu/categories/reorder
+ * Set the display order of all categories
+ */
+router.put('/categories/reorder',
+    [
+        body('order').isArray({ min: 1 }),
+        body('order.*').isUUID(),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { order } = req.body;
+
+        await db.withTransaction(async (client) => {
+            const count = await client.query(
+                'SELECT COUNT(*) FROM menu_categories WHERE place_id = $1',
+                [req.params.id]
+            );
+            assertCompleteOrder(order, parseInt(count.rows[0].count));
+
+            const result = await client.query(`
+        UPDATE menu_categories mc SET sort_order = o.position - 1
+        FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, position)
+        WHERE mc.id = o.id AND mc.place_id = $2
+      `, [order, req.params.id]);
+
+            if (result.rowCount !== order.length) {
+                throw createError.badRequest('Order contains categories from another place');
+            }
+        });
+
+        res.json({ success: true, message: 'Categories reordered' });
+    })
+);
+
+/**
+ * PUT /api/places/:id/menu/categories/:categoryId
+ * Update a menu category
+ */
+router.put('/categories/:categoryId',
+    [
+        param('categoryId').isUUID(),
+        body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+        body('description').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { name, description } = req.body;
+        if (name === undefined && description === undefined) {
+            throw createError.badRequest('No fields to update');
+        }
+
+        const result = await db.query(`
+      UPDATE menu_categories SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description)
+      WHERE id = $3 AND place_id = $4
+      RETURNING id, name, description, sort_order
+    `, [name, description, req.params.categoryId, req.params.id]);
+
+        if (result.rows.length === 0) {
+            throw createError.notFound('Category not found');
+        }
+
+        res.json({
+            success: true,
+            message: 'Category updated',
+            data: formatCategory(result.rows[0]),
+        });
+    })
+);
+
+/**
+ * DELETE /api/places/:id/menu/categories/:categoryId
+ * Delete a menu category and its items
+ */
+router.delete('/categories/:categoryId',
+    [param('categoryId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const result = await db.query(
+            'DELETE FROM menu_categories WHERE id = $1 AND place_id = $2 RETURNING id',
+            [req.params.categoryId, req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            throw createError.notFound('Category not found');
+        }
+
+        res.json({ success: true, message: 'Category deleted' });
+    })
+);
+
+/**
+ * PUT /api/places/:id/menu/categories/:categoryId/items/reorder
+ * Set the display order of the items in a category
+ */
+router.put('/categories/:categoryId/items/reorder',
+    [
+        param('categoryId').isUUID(),
+        body('order').isArray({ min: 1 }),
+        body('order.*').isUUID(),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { order } = req.body;
+
+        await db.withTransaction(async (client) => {
+            const count = await client.query(
+                'SELECT COUNT(*) FROM menu_items WHERE category_id = $1 AND place_id = $2',
+                [req.params.categoryId, req.params.id]
+            );
+            assertCompleteOrder(order, parseInt(count.rows[0].count));
+
+            const result = await client.query(`
+        UPDATE menu_items mi SET sort_order = o.position - 1
+        FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, position)
+        WHERE mi.id = o.id AND mi.category_id = $2 AND mi.place_id = $3
+      `, [order, req.params.categoryId, req.params.id]);
+
+            if (result.rowCount !== order.length) {
+                throw createError.badRequest('Order contains items from another category');
+            }
+        });
+
+        res.json({ success: true, message: 'Items reordered' });
+    })
+);
+
+/**
+ * POST /api/places/:id/menu/items
+ * Create a menu item
+ */
+router.post('/items',
+    [
+        body('categoryId').isUUID(),
+        body('name').trim().notEmpty().isLength({ max: 100 }),
+        body('description').optional().trim().isLength({ max: 500 }),
+        body('price').isFloat({ min: 0, max: 100000 }),
+        body('isAvailable').optional().isBoolean(),
+        body('isPopular').optional().isBoolean(),
+        body('allergens').optional().isArray(),
+        body('allergens.*').isIn(ALLERGENS),
+        body('sortOrder').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const {
+            categoryId,
+            name,
+            description,
+            price,
+            isAvailable = true,
+            isPopular = false,
+            allergens = [],
+            sortOrder,
+        } = req.body;
+
+        const category = await db.query(
+            'SELECT id FROM menu_categories WHERE id = $1 AND place_id = $2',
+            [categoryId, req.params.id]
+        );
+        if (category.rows.length === 0) {
+            throw createError.notFound('Category not found');
+        }
+
+        const result = await db.query(`
+      INSERT INTO menu_items
+      (category_id, place_id, name, description, price, is_available, is_popular, allergens, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+        COALESCE($9, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM menu_items WHERE category_id = $1)))
+      RETURNING *
+    `, [categoryId, req.params.id, name, description, price, isAvailable, isPopular, allergens, sortOrder]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Item created',
+            data: formatItem(result.rows[0]),
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/menu/items/availability
+ * Bulk toggle availability ("86" dishes that ran out, or bring them back)
+ */
+router.put('/items/availability',
+    [
+        body('itemIds').isArray({ min: 1, max: 200 }),
+        body('itemIds.*').isUUID(),
+        body('isAvailable').isBoolean(),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { itemIds, isAvailable } = req.body;
+
+        const result = await db.query(`
+      UPDATE menu_items SET is_available = $1
+      WHERE id = ANY($2) AND place_id = $3
+      RETURNING id
+    `, [isAvailable, itemIds, req.params.id]);
+
+        res.json({
+            success: true,
+            message: isAvailable ? 'Items back on the menu' : 'Items marked unavailable',
+            data: { updated: result.rows.map(r => r.id) },
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/menu/items/:itemId
+ * Update a menu item (including moving it to another category)
+ */
+router.put('/items/:itemId',
+    [
+        param('itemId').isUUID(),
+        body('categoryId').optional().isUUID(),
+        body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+        body('description').optional().trim().isLength({ max: 500 }),
+        body('price').optional().isFloat({ min: 0, max: 100000 }),
+        body('isAvailable').optional().isBoolean(),
+        body('isPopular').optional().isBoolean(),
+        body('allergens').optional().isArray(),
+        body('allergens.*').isIn(ALLERGENS),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const fields = {
+            categoryId: 'category_id',
+            name: 'name',
+            description: 'description',
+            price: 'price',
+            isAvailable: 'is_available',
+            isPopular: 'is_popular',
+            allergens: 'allergens',
+        };
+
+        const updates = [];
+        const values = [];
+        Object.entries(fields).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                values.push(req.body[field]);
+                updates.push(`${column} = $${values.length}`);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw createError.badRequest('No fields to update');
+        }
+
+        if (req.body.categoryId) {
+            const category = await db.query(
+                'SELECT id FROM menu_categories WHERE id = $1 AND place_id = $2',
+                [req.body.categoryId, req.params.id]
+            );
+            if (category.rows.length === 0) {
+                throw createError.notFound('Category not found');
+            }
+        }
+
+        values.push(req.params.itemId, req.params.id);
+        const result = await db.query(`
+      UPDATE menu_items SET ${updates.join(', ')}
+      WHERE id = $${values.length - 1} AND place_id = $${values.length}
+      RETURNING *
+    `, values);
+
+        if (result.rows.length === 0) {
+            throw createError.notFound('Item not found');
+        }
+
+        res.json({
+            success: true,
+            message: 'Item updated',
+            data: formatItem(result.rows[0]),
+        });
+    })
+);
+
+/**
+ * POST /api/places/:id/menu/items/:itemId/image
+ * Upload or replace a menu item photo
+ */
+router.post('/items/:itemId/image',
+    [param('itemId').isUUID()],
+    upload.single('image'),
+    asyncHandler(async (req, res) => {
+        try {
+            assertValid(req);
+            if (!req.file) {
+                throw createError.badRequest('No image uploaded');
+            }
+
+            const result = await db.query(`
+        UPDATE menu_items SET image_url = $1
+        WHERE id = $2 AND place_id = $3
+        RETURNING *
+      `, [uploadedFileUrl('menu', req.file), req.params.itemId, req.params.id]);
+
+            if (result.rows.length === 0) {
+                throw createError.notFound('Item not found');
+            }
+
+            res.json({
+                success: true,
+                message: 'Image uploaded',
+                data: formatItem(result.rows[0]),
+            });
+        } catch (error) {
+            if (req.file) await removeUploadedFiles([req.file]);
+            throw error;
+        }
+    })
+);
+
+/**
+ * DELETE /api/places/:id/menu/items/:itemId
+ * Delete a menu item
+ */
+router.delete('/items/:itemId',
+    [param('itemId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const result = await db.query(
+            'DELETE FROM menu_items WHERE id = $1 AND place_id = $2 RETURNING id',
+            [req.params.itemId, req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            throw createError.notFound('Item not found');
+        }
+
+        res.json({ success: true, message: 'Item deleted' });
+    })
+);
+
+/**
+ * Validators for a modifier group definition
+ */
+const modifierGroupValidators = [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('isRequired').optional().isBoolean(),
+    body('minSelect').optional().isInt({ min: 0, max: 20 }),
+    body('maxSelect').optional({ nullable: true }).isInt({ min: 1, max: 20 }),
+    body('sortOrder').optional().isInt({ min: 0 }),
+    body('options').isArray({ min: 1, max: 50 }),
+    body('options.*.id').optional().isUUID(),
+    body('options.*.name').trim().notEmpty().isLength({ max: 100 }),
+    body('options.*.priceDelta').optional().isFloat({ min: -100000, max: 100000 }),
+    body('options.*.isAvailable').optional().isBoolean(),
+];
+
+/**
+ * Read and check a modifier group definition from the request body
+ * @param {Object} req - Express request
+ * @returns {Object} Normalized group definition
+ */
+const readModifierGroup = (req) => {
+    assertValid(req);
+
+    const {
+        name,
+        isRequired = false,
+        minSelect = 0,
+        maxSelect = null,
+        sortOrder = 0,
+        options,
+    } = req.body;
+
+    const group = { name, isRequired, minSelect, maxSelect, sortOrder, options };
+    const problems = validateModifierGroup(group);
+    if (problems.length > 0) {
+        throw createError.badRequest('Invalid modifier group', problems);
+    }
+
+    return group;
+};
+
+/**
+ * Insert or update the options of a group; options missing from the list are removed
+ * @param {Object} client - Transaction client
+ * @param {string} groupId - Modifier group ID
+ * @param {Array} options - [{ id?, name, priceDelta, isAvailable }]
+ */
+const saveModifierOptions = async (client, groupId, options) => {
+    const keptIds = options.filter(o => o.id).map(o => o.id);
+
+    await client.query(
+        'DELETE FROM menu_modifier_options WHERE group_id = $1 AND NOT (id = ANY($2::uuid[]))',
+        [groupId, keptIds]
+    );
+
+    for (const [index, option] of options.entries()) {
+        const values = [option.name, option.priceDelta || 0, option.isAvailable !== false, index, groupId];
+
+        if (option.id) {
+            const updated = await client.query(`
+        UPDATE menu_modifier_options SET name = $1, price_delta = $2, is_available = $3, sort_order = $4
+        WHERE group_id = $5 AND id = $6
+      `, [...values, option.id]);
+            if (updated.rowCount === 0) {
+                throw createError.badRequest(`Option ${option.id} does not belong to this group`);
+            }
+        } else {
+            await client.query(`
+        INSERT INTO menu_modifier_options (name, price_delta, is_available, sort_order, group_id)
+        VALUES ($1, $2, $3, $4, $5)
+      `, values);
+        }
+    }
+};
+
+/**
+ * Load one modifier group of this place, formatted like the menu payload
+ * @param {Object} executor - db module or transaction client
+ * @param {string} groupId - Modifier group ID
+ * @returns {Promise<Object>} Modifier group
+ */
+const loadModifierGroup = async (executor, groupId) => {
+    const result = await executor.query(buildModifiersQuery('g.id = $1'), [groupId]);
+    return [...groupModifierRows(result.rows).values()][0][0];
+};
+
+/**
+ * POST /api/places/:id/menu/items/:itemId/modifier-groups
+ * Add a modifier group (e.g. "Size", "Extras") with its options to an item
+ */
+router.post('/items/:itemId/modifier-groups',
+    [param('itemId').isUUID(), ...modifierGroupValidators],
+    asyncHandler(async (req, res) => {
+        const group = readModifierGroup(req);
+
+        const item = await db.query(
+            'SELECT id FROM menu_items WHERE id = $1 AND place_id = $2',
+            [req.params.itemId, req.params.id]
+        );
+        if (item.rows.length === 0) {
+            throw createError.notFound('Item not found');
+        }
+
+        const created = await db.withTransaction(async (client) => {
+            const result = await client.query(`
+        INSERT INTO menu_modifier_groups (menu_item_id, name, is_required, min_select, max_select, sort_order)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [req.params.itemId, group.name, group.isRequired, group.minSelect, group.maxSelect, group.sortOrder]);
+
+            const groupId = result.rows[0].id;
+            await saveModifierOptions(client, groupId, group.options.map(({ id, ...option }) => option));
+            return loadModifierGroup(client, groupId);
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Modifier group created',
+            data: created,
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/menu/modifier-groups/:groupId
+ * Replace a modifier group definition; options keep their ID when sent with it
+ */
+router.put('/modifier-groups/:groupId',
+    [param('groupId').isUUID(), ...modifierGroupValidators],
+    asyncHandler(async (req, res) => {
+        const group = readModifierGroup(req);
+
+        const updated = await db.withTransaction(async (client) => {
+            const result = await client.query(`
+        UPDATE menu_modifier_groups g SET
+          name = $1, is_required = $2, min_select = $3, max_select = $4, sort_order = $5
+        FROM menu_items mi
+        WHERE g.id = $6 AND g.menu_item_id = mi.id AND mi.place_id = $7
+        RETURNING g.id
+      `, [group.name, group.isRequired, group.minSelect, group.maxSelect, group.sortOrder,
+                req.params.groupId, req.params.id]);
+
+            if (result.rows.length === 0) {
+                throw createError.notFound('Modifier group not found');
+            }
+
+            await saveModifierOptions(client, req.params.groupId, group.options);
+            return loadModifierGroup(client, req.params.groupId);
+        });
+
+        res.json({
+            success: true,
+            message: 'Modifier group updated',
+            data: updated,
+        });
+    })
+);
+
+/**
+ * DELETE /api/places/:id/menu/modifier-groups/:groupId
+ * Delete a modifier group and its options
+ */
+router.delete('/modifier-groups/:groupId',
+    [param('groupId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const result = await db.query(`
+      DELETE FROM menu_modifier_groups g
+      USING menu_items mi
+      WHERE g.id = $1 AND g.menu_item_id = mi.id AND mi.place_id = $2
+      RETURNING g.id
+    `, [req.params.groupId, req.params.id]);
+
+        if (result.rows.length === 0) {
+            throw createError.notFound('Modifier group not found');
+        }
+
+        res.json({ success: true, message: 'Modifier group deleted' });
+    })
+);
+
+module.exports = router;
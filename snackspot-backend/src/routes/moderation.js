@@ -0,0 +1,770 @@
+// TAGHRA - Moderation Routes
+// Queues awaiting a moderator decision: review reports, ambassador place submissions, suggested edits
+// and business claims (admins only)
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const { copyUploads, removeUploadedFiles, privateUploadPath } = require('../middleware/upload');
+const { refreshPlaceRating } = require('../services/reviews');
+const { recordPlaceChange, diffPlace } = require('../services/placeChanges');
+const { notifyUser } = require('../services/notifications');
+const { awardPoints, reversePoints } = require('../services/points');
+const { checkBadges } = require('../services/badges');
+const {
+    formatPlaceEdit,
+    lockPendingEdit,
+    applyPlaceEdit,
+    rejectPlaceEdit,
+    notifyEditAuthor,
+} = require('../services/placeEdits');
+const { CLAIM_ROLES, formatClaim } = require('../services/claims');
+const { nameSimilarity, buildSearchColumns } = require('../utils/search');
+
+const router = express.Router();
+
+// Points for an approved place submission
+const SUBMISSION_POINTS = 10;
+
+// Radius of existing places shown next to a submission
+const SUBMISSION_NEARBY_RADIUS = 300;
+
+router.use(authenticate, authorize('admin', 'moderator'));
+
+/**
+ * Format a submission row
+ * @param {Object} s - place_submissions row with latitude/longitude and sub_name
+ * @returns {Object} Submission payload
+ */
+const formatSubmission = (s) => ({
+    id: s.id,
+    name: s.name,
+    category: s.category,
+    address: s.address,
+    latitude: s.latitude,
+    longitude: s.longitude,
+    phone: s.phone,
+    description: s.description,
+    photos: s.photos || [],
+    status: s.status,
+    isFlaggedDuplicate: s.is_flagged_duplicate,
+    possibleDuplicates: s.possible_duplicates || [],
+    rejectionReason: s.rejection_reason,
+    placeId: s.place_id,
+    reviewedAt: s.reviewed_at,
+    createdAt: s.created_at,
+    sub: { id: s.sub_id, name: s.sub_name },
+});
+
+/**
+ * Load a pending submission and lock it for the rest of the transaction
+ * @param {Object} client - Transaction client
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<Object>} Submission row
+ */
+const lockPendingSubmission = async (client, submissionId) => {
+    const result = await client.query(`
+    SELECT s.*, ST_Y(s.location::geometry) as latitude, ST_X(s.location::geometry) as longitude
+    FROM place_submissions s
+    WHERE s.id = $1
+    FOR UPDATE
+  `, [submissionId]);
+
+    if (result.rows.length === 0) {
+        throw createError.notFound('Submission not found');
+    }
+    if (result.rows[0].status !== 'pending') {
+        throw createError.conflict(`Submission already ${result.rows[0].status}`);
+    }
+    return result.rows[0];
+};
+
+/**
+ * GET /api/moderation/submissions
+ * List place submissions, oldest first (pending by default)
+ */
+router.get('/submissions',
+    [
+        query('status').optional().isIn(['pending', 'approved', 'rejected']),
+        query('category').optional().isIn(['food', 'health', 'vet', 'admin']),
+        query('flagged').optional().isBoolean(),
+        query('subId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { status = 'pending', category, flagged, subId, limit = 50, offset = 0 } = req.query;
+
+        const params = [status];
+        let queryText = `
+      SELECT s.*, u.full_name as sub_name,
+        ST_Y(s.location::geometry) as latitude, ST_X(s.location::geometry) as longitude,
+        COUNT(*) OVER() as total_count
+      FROM place_submissions s
+      JOIN users u ON s.sub_id = u.id
+      WHERE s.status = $1
+    `;
+
+        if (category) {
+            params.push(category);
+            queryText += ` AND s.category = $${params.length}`;
+        }
+        if (flagged !== undefined) {
+            params.push(flagged === 'true');
+            queryText += ` AND s.is_flagged_duplicate = $${params.length}`;
+        }
+        if (subId) {
+            params.push(subId);
+            queryText += ` AND s.sub_id = $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        queryText += ` ORDER BY s.created_at ASC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        const result = await db.query(queryText, params);
+
+        res.json({
+            success: true,
+            data: result.rows.map(formatSubmission),
+            meta: {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+            },
+        });
+    })
+);
+
+/**
+ * GET /api/moderation/submissions/:id
+ * A submission next to the existing places around it
+ */
+router.get('/submissions/:id',
+    [param('id').isUUID()],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const result = await db.query(`
+      SELECT s.*, u.full_name as sub_name,
+        ST_Y(s.location::geometry) as latitude, ST_X(s.location::geometry) as longitude
+      FROM place_submissions s
+      JOIN users u ON s.sub_id = u.id
+      WHERE s.id = $1
+    `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            throw createError.notFound('Submission not found');
+        }
+
+        const submission = result.rows[0];
+
+        const nearby = await db.query(`
+      SELECT p.id, p.name, p.category, p.address, p.phone, p.photos, p.archived_at,
+        ST_Y(p.location::geometry) as latitude, ST_X(p.location::geometry) as longitude,
+        ST_Distance(p.location, $1::geography) as distance
+      FROM places p
+      WHERE ST_DWithin(p.location, $1::geography, $2)
+      ORDER BY distance
+      LIMIT 20
+    `, [submission.location, SUBMISSION_NEARBY_RADIUS]);
+
+        res.json({
+            success: true,
+            data: {
+                submission: formatSubmission(submission),
+                nearbyPlaces: nearby.rows.map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    category: p.category,
+                    address: p.address,
+                    phone: p.phone,
+                    photos: p.photos || [],
+                    latitude: p.latitude,
+                    longitude: p.longitude,
+                    distance: Math.round(p.distance),
+                    nameSimilarity: Math.round(nameSimilarity(submission.name, p.name) * 100) / 100,
+                    isArchived: p.archived_at !== null,
+                })),
+            },
+        });
+    })
+);
+
+/**
+ * PUT /api/moderation/submissions/:id/approve
+ * Publish a submission as a place, move its photos, award the ambassador and notify them
+ * Fields sent in the body (name, category, address, phone, description) correct the submission
+ */
+router.put('/submissions/:id/approve',
+    [
+        param('id').isUUID(),
+        body('name').optional().trim().isLength({ min: 2, max: 100 }),
+        body('category').optional().isIn(['food', 'health', 'vet', 'admin']),
+        body('address').optional().trim().notEmpty().isLength({ max: 500 }),
+        body('phone').optional().trim().isLength({ max: 20 }),
+        body('description').optional().trim().isLength({ max: 2000 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        let photoCopies = [];
+
+        const approved = await db.withTransaction(async (client) => {
+            const submission = await lockPendingSubmission(client, req.params.id);
+
+            const fields = {
+                name: req.body.name ?? submission.name,
+                category: req.body.category ?? submission.category,
+                address: req.body.address ?? submission.address,
+                phone: req.body.phone ?? submission.phone,
+                description: req.body.description ?? submission.description,
+            };
+
+            // Copy first so a failed insert leaves the submission's photos untouched
+            const photos = await copyUploads(submission.photos || [], 'submissions', 'places');
+            photoCopies = photos.copies;
+
+            const search = buildSearchColumns({ ...fields, tags: [] });
+            const placeResult = await client.query(`
+        INSERT INTO places
+        (name, category, address, phone, description, location, photos,
+         search_name, search_skeleton, search_text)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+                fields.name, fields.category, fields.address, fields.phone, fields.description,
+                submission.location, photos.urls,
+                search.search_name, search.search_skeleton, search.search_text,
+            ]);
+            const placeId = placeResult.rows[0].id;
+
+            await recordPlaceChange(client, {
+                placeId,
+                userId: req.user.id,
+                action: 'submission_approved',
+                changes: diffPlace({}, { ...fields, submission_id: submission.id, sub_id: submission.sub_id }),
+            });
+
+            await client.query(`
+        UPDATE place_submissions
+        SET status = 'approved', place_id = $1, photos = $2, reviewed_by = $3, reviewed_at = NOW()
+        WHERE id = $4
+      `, [placeId, photos.urls, req.user.id, submission.id]);
+
+            await awardPoints(client, submission.sub_id, SUBMISSION_POINTS, {
+                action: 'submission_approved',
+                description: `${fields.name} approved`,
+                referenceType: 'submission',
+                referenceId: submission.id,
+            });
+
+            return { submission, placeId, fields, originals: photos.originals };
+        }).catch(async (error) => {
+            await removeUploadedFiles(photoCopies);
+            throw error;
+        });
+
+        // The place now owns the copies
+        await removeUploadedFiles(approved.originals);
+
+        await notifyUser(approved.submission.sub_id, {
+            title: 'Place approved 🎉',
+            body: `${approved.fields.name} is now on the map. You earned ${SUBMISSION_POINTS} points!`,
+            type: 'submission_approved',
+            data: { submissionId: approved.submission.id, placeId: approved.placeId },
+        });
+        await checkBadges(approved.submission.sub_id, 'submission');
+
+        res.json({
+            success: true,
+            message: 'Submission approved',
+            data: {
+                submissionId: approved.submission.id,
+                placeId: approved.placeId,
+                pointsAwarded: SUBMISSION_POINTS,
+            },
+        });
+    })
+);
+
+/**
+ * PUT /api/moderation/submissions/:id/reject
+ * Reject a submission with a reason shown to the ambassador
+ */
+router.put('/submissions/:id/reject',
+    [
+        param('id').isUUID(),
+        body('reason').trim().notEmpty().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const submission = await db.withTransaction(async (client) => {
+            const current = await lockPendingSubmission(client, req.params.id);
+
+            await client.query(`
+        UPDATE place_submissions
+        SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = NOW()
+        WHERE id = $3
+      `, [req.body.reason, req.user.id, current.id]);
+
+            return current;
+        });
+
+        await notifyUser(submission.sub_id, {
+            title: 'Submission not approved',
+            body: `${submission.name}: ${req.body.reason}`,
+            type: 'submission_rejected',
+            data: { submissionId: submission.id },
+        });
+
+        res.json({
+            success: true,
+            message: 'Submission rejected',
+            data: { submissionId: submission.id, status: 'rejected' },
+        });
+    })
+);
+
+/**
+ * GET /api/moderation/review-reports
+ * List review reports, oldest first (pending by default)
+ */
+router.get('/review-reports',
+    [
+        query('status').optional().isIn(['pending', 'dismissed', 'actioned']),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+        const result = await db.query(`
+      SELECT
+        rr.id, rr.reason, rr.details, rr.status, rr.created_at,
+        rr.resolved_at, rr.resolution_note,
+        r.id as review_id, r.place_id, r.rating, r.comment, r.photos,
+        author.id as author_id, author.full_name as author_name,
+        reporter.id as reporter_id, reporter.full_name as reporter_name,
+        (SELECT COUNT(*) FROM review_reports x WHERE x.review_id = r.id AND x.status = 'pending') as pending_reports
+      FROM review_reports rr
+      LEFT JOIN reviews r ON rr.review_id = r.id
+      LEFT JOIN users author ON r.user_id = author.id
+      JOIN users reporter ON rr.reporter_id = reporter.id
+      WHERE rr.status = $1
+      ORDER BY rr.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+        res.json({
+            success: true,
+            data: result.rows.map(r => ({
+                id: r.id,
+                reason: r.reason,
+                details: r.details,
+                status: r.status,
+                createdAt: r.created_at,
+                resolvedAt: r.resolved_at,
+                resolutionNote: r.resolution_note,
+                pendingReports: parseInt(r.pending_reports),
+                reporter: { id: r.reporter_id, name: r.reporter_name },
+                // Null once the review has been removed
+                review: r.review_id ? {
+                    id: r.review_id,
+                    placeId: r.place_id,
+                    rating: r.rating,
+                    comment: r.comment,
+                    photos: r.photos || [],
+                    user: { id: r.author_id, name: r.author_name },
+                } : null,
+            })),
+        });
+    })
+);
+
+/**
+ * PUT /api/moderation/review-reports/:reportId
+ * Resolve a report: dismiss it, or remove the review (which resolves every report on it)
+ */
+router.put('/review-reports/:reportId',
+    [
+        param('reportId').isUUID(),
+        body('action').isIn(['dismiss', 'remove_review']),
+        body('note').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { action, note } = req.body;
+
+        await db.withTransaction(async (client) => {
+            const reportResult = await client.query(
+                'SELECT id, review_id, status FROM review_reports WHERE id = $1 FOR UPDATE',
+                [req.params.reportId]
+            );
+            if (reportResult.rows.length === 0) {
+                throw createError.notFound('Report not found');
+            }
+
+            const report = reportResult.rows[0];
+            if (report.status !== 'pending') {
+                throw createError.conflict(`Report already ${report.status}`);
+            }
+
+            if (action === 'dismiss') {
+                await client.query(`
+          UPDATE review_reports
+          SET status = 'dismissed', resolved_by = $1, resolved_at = NOW(), resolution_note = $2
+          WHERE id = $3
+        `, [req.user.id, note, report.id]);
+                return;
+            }
+
+            // Removing the review settles every open report on it; the reports keep a
+            // null review_id so the decision stays on record
+            await client.query(`
+        UPDATE review_reports
+        SET status = 'actioned', resolved_by = $1, resolved_at = NOW(), resolution_note = $2
+        WHERE review_id = $3 AND status = 'pending'
+      `, [req.user.id, note, report.review_id]);
+
+            const deleted = await client.query(
+                'DELETE FROM reviews WHERE id = $1 RETURNING place_id',
+                [report.review_id]
+            );
+            if (deleted.rows.length > 0) {
+                await refreshPlaceRating(client, deleted.rows[0].place_id);
+                await reversePoints(client, {
+                    action: 'review',
+                    referenceType: 'review',
+                    referenceId: report.review_id,
+                    description: 'Review removed by moderation',
+                });
+            }
+        });
+
+        res.json({
+            success: true,
+            message: action === 'dismiss' ? 'Report dismissed' : 'Review removed',
+        });
+    })
+);
+
+/**
+ * GET /api/moderation/place-edits
+ * Suggested edits that neither trusted agreement nor the owner has settled, oldest first
+ */
+router.get('/place-edits',
+    [
+        query('status').optional().isIn(['pending', 'applied', 'rejected']),
+        query('placeId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { status = 'pending', placeId, limit = 50, offset = 0 } = req.query;
+
+        const params = [status];
+        let queryText = `
+      SELECT e.*, u.full_name as user_name, p.name as place_name,
+        (SELECT COUNT(*) FROM place_edit_agreements a WHERE a.edit_id = e.id AND a.is_trusted) as trusted_agreements,
+        COUNT(*) OVER() as total_count
+      FROM place_edits e
+      JOIN places p ON e.place_id = p.id
+      LEFT JOIN users u ON e.user_id = u.id
+      WHERE e.status = $1
+    `;
+
+        if (placeId) {
+            params.push(placeId);
+            queryText += ` AND e.place_id = $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        queryText += ` ORDER BY e.created_at ASC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        const result = await db.query(queryText, params);
+
+        res.json({
+            success: true,
+            data: result.rows.map(formatPlaceEdit),
+            meta: {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+            },
+        });
+    })
+);
+
+/**
+ * PUT /api/moderation/place-edits/:editId
+ * Apply or reject a suggested edit
+ */
+router.put('/place-edits/:editId',
+    [
+        param('editId').isUUID(),
+        body('action').isIn(['apply', 'reject']),
+        body('note').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { action, note } = req.body;
+        const resolution = { userId: req.user.id, via: 'moderator', note };
+
+        const outcome = await db.withTransaction(async (client) => {
+            const edit = await lockPendingEdit(client, req.params.editId);
+
+            if (action === 'apply') {
+                return { edit, ...await applyPlaceEdit(client, edit, resolution) };
+            }
+
+            await rejectPlaceEdit(client, edit, resolution);
+            return { edit, changes: {}, pointsAwarded: 0 };
+        });
+
+        await notifyEditAuthor(outcome.edit, action === 'apply', outcome.pointsAwarded, note);
+
+        res.json({
+            success: true,
+            message: action === 'apply' ? 'Edit applied' : 'Edit rejected',
+            data: {
+                id: outcome.edit.id,
+                status: action === 'apply' ? 'applied' : 'rejected',
+                changes: outcome.changes,
+            },
+        });
+    })
+);
+
+/**
+ * GET /api/moderation/claims
+ * Business claims, oldest first (pending by default)
+ */
+router.get('/claims',
+    authorize('admin'),
+    [
+        query('status').optional().isIn(['pending', 'approved', 'rejected']),
+        query('verified').optional().isBoolean(),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { status = 'pending', verified, limit = 50, offset = 0 } = req.query;
+
+        const params = [status];
+        let queryText = `
+      SELECT c.*, p.name as place_name, p.phone as place_phone,
+        u.full_name as user_name, u.email as user_email,
+        COUNT(*) OVER() as total_count
+      FROM place_claims c
+      JOIN places p ON c.place_id = p.id
+      JOIN users u ON c.user_id = u.id
+      WHERE c.status = $1
+    `;
+
+        if (verified !== undefined) {
+            queryText += verified === 'true' ? ' AND c.phone_verified_at IS NOT NULL' : ' AND c.phone_verified_at IS NULL';
+        }
+
+        params.push(limit, offset);
+        queryText += ` ORDER BY c.created_at ASC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        const result = await db.query(queryText, params);
+
+        res.json({
+            success: true,
+            data: result.rows.map(formatClaim),
+            meta: {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+            },
+        });
+    })
+);
+
+/**
+ * GET /api/moderation/claims/:claimId/documents/:index
+ * Download a proof document of a claim
+ */
+router.get('/claims/:claimId/documents/:index',
+    authorize('admin'),
+    [
+        param('claimId').isUUID(),
+        param('index').isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const result = await db.query('SELECT documents FROM place_claims WHERE id = $1', [req.params.claimId]);
+        const document = result.rows[0]?.documents?.[parseInt(req.params.index)];
+
+        if (!document) {
+            throw createError.notFound('Document not found');
+        }
+
+        res.type(document.mimetype);
+        res.sendFile(privateUploadPath('claims', document.filename));
+    })
+);
+
+/**
+ * PUT /api/moderation/claims/:claimId
+ * Approve a claim (the claimant becomes the verified owner) or reject it with a reason
+ */
+router.put('/claims/:claimId',
+    authorize('admin'),
+    [
+        param('claimId').isUUID(),
+        body('action').isIn(['approve', 'reject']),
+        body('reason').if(body('action').equals('reject')).trim().notEmpty().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { action, reason } = req.body;
+
+        const claim = await db.withTransaction(async (client) => {
+            const claimResult = await client.query(`
+        SELECT c.*, u.role as user_role FROM place_claims c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.id = $1
+        FOR UPDATE OF c
+      `, [req.params.claimId]);
+
+            if (claimResult.rows.length === 0) {
+                throw createError.notFound('Claim not found');
+            }
+
+            const current = claimResult.rows[0];
+            if (current.status !== 'pending') {
+                throw createError.conflict(`Claim already ${current.status}`);
+            }
+
+            if (action === 'reject') {
+                await client.query(`
+          UPDATE place_claims
+          SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = NOW()
+          WHERE id = $3
+        `, [reason, req.user.id, current.id]);
+                return current;
+            }
+
+            if (!current.phone_verified_at) {
+                throw createError.badRequest('The claimant has not verified the listed phone yet');
+            }
+
+            const placeResult = await client.query(
+                'SELECT id, name, category, owner_id, is_verified FROM places WHERE id = $1 FOR UPDATE',
+                [current.place_id]
+            );
+            const place = placeResult.rows[0];
+
+            if (place.owner_id) {
+                throw createError.conflict('This place already has an owner');
+            }
+            if (CLAIM_ROLES[place.category] !== current.user_role) {
+                throw createError.badRequest('The claimant account type cannot own this kind of place');
+            }
+
+            await client.query(`
+        UPDATE places SET owner_id = $1, is_verified = true, updated_at = NOW()
+        WHERE id = $2
+      `, [current.user_id, place.id]);
+
+            await recordPlaceChange(client, {
+                placeId: place.id,
+                userId: req.user.id,
+                action: 'claim_approved',
+                changes: diffPlace(place, { owner_id: current.user_id, is_verified: true }),
+            });
+
+            await client.query(`
+        UPDATE place_claims
+        SET status = 'approved', reviewed_by = $1, reviewed_at = NOW()
+        WHERE id = $2
+      `, [req.user.id, current.id]);
+
+            // Competing claims for the same place can no longer succeed
+            await client.query(`
+        UPDATE place_claims
+        SET status = 'rejected', rejection_reason = 'Another claim for this place was approved',
+          reviewed_by = $1, reviewed_at = NOW()
+        WHERE place_id = $2 AND status = 'pending'
+      `, [req.user.id, place.id]);
+
+            return { ...current, place_name: place.name };
+        });
+
+        await notifyUser(claim.user_id, action === 'approve'
+            ? {
+                title: 'Claim approved ✅',
+                body: `You now manage ${claim.place_name}.`,
+                type: 'claim_approved',
+                data: { claimId: claim.id, placeId: claim.place_id },
+            }
+            : {
+                title: 'Claim not approved',
+                body: reason,
+                type: 'claim_rejected',
+                data: { claimId: claim.id, placeId: claim.place_id },
+            });
+
+        res.json({
+            success: true,
+            message: action === 'approve' ? 'Claim approved' : 'Claim rejected',
+            data: {
+                id: claim.id,
+                placeId: claim.place_id,
+                status: action === 'approve' ? 'approved' : 'rejected',
+            },
+        });
+    })
+);
+
+module.exports = router;
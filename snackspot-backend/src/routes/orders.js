@@ -2,27 +2,129 @@
 // Food ordering system
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+const { priceOrder } = require('../services/pricing');
+const { findCoupon, redeemCoupon } = require('../services/coupons');
+const { awardPoints, spendOrderPoints } = require('../services/points');
+const { checkBadges } = require('../services/badges');
+const { ORDER_STATUSES, lockOwnedOrder, transitionOrder, announceOrderStatus } = require('../services/orderStatus');
 
 const router = express.Router();
 
+/**
+ * Validators shared by the quote and order creation
+ * Delivery coordinates make it a delivery order; without them it is picked up
+ */
+const orderRequestValidators = [
+    body('placeId').notEmpty().isUUID(),
+    body('items').isArray({ min: 1 }),
+    body('items.*.menuItemId').isUUID(),
+    body('items.*.quantity').isInt({ min: 1, max: 99 }),
+    body('items.*.options').optional().isObject(),
+    body('deliveryLatitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+    body('deliveryLongitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+    body('couponCode').optional().trim().notEmpty().isLength({ max: 40 }),
+    body('pointsToRedeem').optional().isInt({ min: 0 }).toInt(),
+];
+
+/**
+ * Delivery point of an order request
+ * @param {Object} body - Validated request body
+ * @returns {Object|null} { latitude, longitude }, or null for pickup
+ */
+const deliveryFromBody = ({ deliveryLatitude, deliveryLongitude }) => {
+    if ((deliveryLatitude === undefined) !== (deliveryLongitude === undefined)) {
+        throw createError.badRequest('Delivery latitude and longitude must be sent together');
+    }
+    return deliveryLatitude === undefined ? null : { latitude: deliveryLatitude, longitude: deliveryLongitude };
+};
+
+/**
+ * POST /api/orders/quote
+ * Price a cart without ordering: lines, coupon discount, service fee, delivery fee, tax, points and total
+ * `points.maxRedeemable` tells how many points the customer may spend on this cart
+ */
+router.post('/quote',
+    authenticate,
+    orderRequestValidators,
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { placeId, items, couponCode, pointsToRedeem } = req.body;
+        const quote = await priceOrder(db, {
+            placeId,
+            items,
+            delivery: deliveryFromBody(req.body),
+            coupon: couponCode ? await findCoupon(db, couponCode) : null,
+            userId: req.user.id,
+            pointsToRedeem,
+        });
+
+        res.json({ success: true, data: quote });
+    })
+);
+
+/**
+ * POST /api/orders/validate-coupon
+ * Check a promo code against a cart
+ * Answers 400 with the reason when the code does not apply, otherwise the discount and the quote with it
+ */
+router.post('/validate-coupon',
+    authenticate,
+    [
+        ...orderRequestValidators,
+        body('couponCode').trim().notEmpty().isLength({ max: 40 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { placeId, items, couponCode, pointsToRedeem } = req.body;
+        const coupon = await findCoupon(db, couponCode);
+        const quote = await priceOrder(db, {
+            placeId,
+            items,
+            delivery: deliveryFromBody(req.body),
+            coupon,
+            userId: req.user.id,
+            pointsToRedeem,
+        });
+
+        res.json({
+            success: true,
+            message: 'Promo code applied',
+            data: {
+                code: coupon.code,
+                description: coupon.description,
+                discount: quote.discount,
+                quote,
+            },
+        });
+    })
+);
+
 /**
  * POST /api/orders/create
- * Create a new order
+ * Create a new order, priced like POST /quote
+ * Send the quoted total as `expectedTotal` to be stopped with a 409 (and the new quote) if prices changed
+ * A `couponCode` and `pointsToRedeem` are checked and taken in the same transaction as the order
  */
 router.post('/create',
     authenticate,
     [
-        body('placeId').notEmpty().isUUID(),
-        body('items').isArray({ min: 1 }),
-        body('items.*.menuItemId').isUUID(),
-        body('items.*.quantity').isInt({ min: 1, max: 99 }),
-        body('deliveryAddress').optional().trim(),
+        ...orderRequestValidators,
+        body('deliveryAddress').optional().trim().isLength({ max: 500 }),
         body('notes').optional().trim().isLength({ max: 500 }),
+        body('expectedTotal').optional().isFloat({ min: 0 }).toFloat(),
     ],
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
@@ -30,70 +132,94 @@ router.post('/create',
             throw createError.badRequest('Validation failed', errors.array());
         }
 
-        const { placeId, items, deliveryAddress, notes } = req.body;
+        const { placeId, items, deliveryAddress, notes, expectedTotal, couponCode, pointsToRedeem } = req.body;
         const userId = req.user.id;
+        const delivery = deliveryFromBody(req.body);
 
-        // Verify place exists
-        const place = await db.query('SELECT id, name FROM places WHERE id = $1', [placeId]);
-        if (place.rows.length === 0) {
-            throw createError.notFound('Place not found');
+        if (delivery && !deliveryAddress) {
+            throw createError.badRequest('A delivery address is required');
         }
 
-        // Get menu items and calculate total
-        const itemIds = items.map(i => i.menuItemId);
-        const menuItems = await db.query(
-            'SELECT id, name, price FROM menu_items WHERE id = ANY($1)',
-            [itemIds]
-        );
+        const { quote, order, pointsEarned } = await db.withTransaction(async (client) => {
+            // The coupon stays locked until commit so its usage limits hold under concurrent orders
+            const coupon = couponCode ? await findCoupon(client, couponCode, { lock: true }) : null;
+            const quote = await priceOrder(client, {
+                placeId, items, delivery, coupon, userId, pointsToRedeem, lockPoints: pointsToRedeem > 0,
+            });
 
-        const menuItemMap = new Map(menuItems.rows.map(m => [m.id, m]));
-        let subtotal = 0;
-        const orderItems = items.map(item => {
-            const menuItem = menuItemMap.get(item.menuItemId);
-            if (!menuItem) throw createError.badRequest(`Menu item ${item.menuItemId} not found`);
-            const itemTotal = parseFloat(menuItem.price) * item.quantity;
-            subtotal += itemTotal;
-            return {
-                menuItemId: item.menuItemId,
-                name: menuItem.name,
-                quantity: item.quantity,
-                price: parseFloat(menuItem.price),
-                total: itemTotal,
-            };
+            if (expectedTotal !== undefined && Math.abs(expectedTotal - quote.total) >= 0.01) {
+                throw createError.conflict('Prices changed, please review your order', { quote });
+            }
+
+            const { subtotal, discount, serviceFee, deliveryFee, tax, pointsRedeemed, pointsDiscount, total } = quote;
+
+            // Create order
+            const orderId = uuidv4();
+            const result = await client.query(`
+        INSERT INTO orders
+        (id, user_id, place_id, items, subtotal, discount, coupon_id, service_fee, delivery_fee, tax,
+         points_redeemed, points_discount, total, fulfillment, delivery_address, delivery_location, notes, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+         CASE WHEN $16::float IS NULL THEN NULL ELSE ST_SetSRID(ST_MakePoint($16, $17), 4326)::geography END,
+         $18, 'pending')
+        RETURNING id, status, created_at
+      `, [
+                orderId, userId, placeId, JSON.stringify(quote.items), subtotal, discount, coupon ? coupon.id : null,
+                serviceFee, deliveryFee, tax, pointsRedeemed, pointsDiscount, total, quote.fulfillment,
+                delivery ? deliveryAddress : null,
+                delivery ? delivery.longitude : null, delivery ? delivery.latitude : null, notes,
+            ]);
+
+            if (coupon) {
+                await redeemCoupon(client, coupon, { userId, orderId, discount });
+            }
+            if (pointsRedeemed > 0) {
+                await spendOrderPoints(client, userId, { id: orderId, points: pointsRedeemed, placeName: quote.place.name });
+            }
+
+            // Award points (taken back if the order is cancelled)
+            const pointsEarned = await awardPoints(client, userId, Math.floor(total / 10), {
+                action: 'order',
+                description: `Order at ${quote.place.name}`,
+                referenceType: 'order',
+                referenceId: orderId,
+            });
+
+            return { quote, order: result.rows[0], pointsEarned };
         });
 
-        const serviceFee = Math.round(subtotal * 0.05 * 100) / 100;
-        const total = subtotal + serviceFee;
-
-        // Create order
-        const orderId = uuidv4();
-        const result = await db.query(`
-      INSERT INTO orders (id, user_id, place_id, items, subtotal, service_fee, total, delivery_address, notes, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
-      RETURNING id, status, created_at
-    `, [orderId, userId, placeId, JSON.stringify(orderItems), subtotal, serviceFee, total, deliveryAddress, notes]);
-
-        // Award points
-        const pointsEarned = Math.floor(total / 10);
-        if (pointsEarned > 0) {
-            await db.query('UPDATE users SET points = points + $1 WHERE id = $2', [pointsEarned, userId]);
-        }
+        const { subtotal, discount, serviceFee, deliveryFee, tax, pointsRedeemed, pointsDiscount, total } = quote;
 
-        // Emit socket event
+        // Emit socket event (dashboards that were offline catch up through GET /api/places/:id/orders)
         const io = req.app.get('io');
-        io.to(`place:${placeId}`).emit('order:new', { orderId, placeName: place.rows[0].name });
+        io.to(`place:${placeId}`).emit('order:new', {
+            orderId: order.id,
+            placeName: quote.place.name,
+            status: order.status,
+            total,
+            createdAt: order.created_at,
+        });
+
+        await checkBadges(userId, 'order');
 
         res.status(201).json({
             success: true,
             message: 'Order created',
             data: {
-                orderId: result.rows[0].id,
-                status: result.rows[0].status,
+                orderId: order.id,
+                status: order.status,
                 subtotal,
+                discount,
+                coupon: quote.coupon,
                 serviceFee,
+                deliveryFee,
+                tax,
+                pointsRedeemed,
+                pointsDiscount,
                 total,
+                fulfillment: quote.fulfillment,
                 pointsEarned,
-                createdAt: result.rows[0].created_at,
+                createdAt: order.created_at,
             },
         });
     })
@@ -154,9 +280,71 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
         throw createError.notFound('Order not found');
     }
 
-    res.json({ success: true, data: result.rows[0] });
+    const events = await db.query(`
+    SELECT from_status, to_status, actor_role, note, created_at
+    FROM order_status_events
+    WHERE order_id = $1
+    ORDER BY created_at
+  `, [req.params.id]);
+
+    res.json({
+        success: true,
+        data: {
+            ...result.rows[0],
+            timeline: events.rows.map(e => ({
+                from: e.from_status,
+                status: e.to_status,
+                by: e.actor_role,
+                note: e.note,
+                at: e.created_at,
+            })),
+        },
+    });
 }));
 
+/**
+ * PUT /api/orders/:id/status
+ * Move an order of an owned place to its next status
+ */
+router.put('/:id/status',
+    authenticate,
+    authorize('restaurant', 'admin'),
+    [
+        param('id').isUUID(),
+        body('status').isIn(ORDER_STATUSES),
+        body('note').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { status, note } = req.body;
+
+        const { order, update } = await db.withTransaction(async (client) => {
+            const current = await lockOwnedOrder(client, req.params.id, req.user);
+            const changed = await transitionOrder(client, current, status, {
+                userId: req.user.id,
+                role: req.user.role === 'admin' ? 'admin' : 'owner',
+                note,
+            });
+            return { order: current, update: changed };
+        });
+
+        await announceOrderStatus(req.app.get('io'), order, { ...update, note });
+        if (update.status === 'delivered') {
+            await checkBadges(order.user_id, 'order');
+        }
+
+        res.json({
+            success: true,
+            message: `Order ${update.status}`,
+            data: update,
+        });
+    })
+);
+
 /**
  * PUT /api/orders/:id/cancel
  * Cancel an order
@@ -164,17 +352,28 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 router.put('/:id/cancel', authenticate, asyncHandler(async (req, res) => {
     const { reason } = req.body;
 
-    const result = await db.query(`
-    UPDATE orders SET status = 'cancelled', cancellation_reason = $1, updated_at = NOW()
-    WHERE id = $2 AND user_id = $3 AND status = 'pending'
-    RETURNING id, status
-  `, [reason, req.params.id, req.user.id]);
+    const order = await db.withTransaction(async (client) => {
+        const result = await client.query(
+            'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [req.params.id, req.user.id]
+        );
 
-    if (result.rows.length === 0) {
-        throw createError.badRequest('Order cannot be cancelled');
-    }
+        // Customers may only cancel before the restaurant confirms
+        if (result.rows.length === 0 || result.rows[0].status !== 'pending') {
+            throw createError.badRequest('Order cannot be cancelled');
+        }
+
+        await transitionOrder(client, result.rows[0], 'cancelled', {
+            userId: req.user.id,
+            role: 'customer',
+            note: reason || null,
+        });
+        return result.rows[0];
+    });
+
+    req.app.get('io').to(`place:${order.place_id}`).emit('order:cancelled', { orderId: order.id, reason });
 
-    res.json({ success: true, message: 'Order cancelled', data: result.rows[0] });
+    res.json({ success: true, message: 'Order cancelled', data: { id: order.id, status: 'cancelled' } });
 }));
 
 module.exports = router;
@@ -0,0 +1,269 @@
+// TAGHRA - Suggested Edits Routes
+// Users propose corrections to a place; trusted agreement or the owner applies them, moderation handles the rest
+// Mounted at /api/places/:id/edits
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, optionalAuth, authorize, isPlaceOwner } = require('../middleware/auth');
+const { validateOpeningHours } = require('../utils/openingHours');
+const { diffPlace } = require('../services/placeChanges');
+const {
+    SUGGESTABLE_FIELDS,
+    isTrustedEditor,
+    formatPlaceEdit,
+    lockPendingEdit,
+    applyPlaceEdit,
+    rejectPlaceEdit,
+    applyIfAgreed,
+    notifyEditAuthor,
+} = require('../services/placeEdits');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Throw on express-validator errors
+ * @param {Object} req - Express request
+ */
+const assertValid = (req) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw createError.badRequest('Validation failed', errors.array());
+    }
+};
+
+/**
+ * GET /api/places/:id/edits
+ * Pending suggested edits of a place, with how many trusted users agree
+ */
+router.get('/',
+    optionalAuth,
+    [param('id').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const result = await db.query(`
+      SELECT e.*, u.full_name as user_name,
+        (SELECT COUNT(*) FROM place_edit_agreements a WHERE a.edit_id = e.id AND a.is_trusted) as trusted_agreements,
+        EXISTS(SELECT 1 FROM place_edit_agreements a WHERE a.edit_id = e.id AND a.user_id = $2) as has_agreed
+      FROM place_edits e
+      LEFT JOIN users u ON e.user_id = u.id
+      WHERE e.place_id = $1 AND e.status = 'pending'
+      ORDER BY e.created_at DESC
+    `, [req.params.id, req.user?.id || null]);
+
+        res.json({
+            success: true,
+            data: result.rows.map(edit => ({
+                ...formatPlaceEdit(edit),
+                hasAgreed: req.user ? edit.has_agreed : undefined,
+            })),
+        });
+    })
+);
+
+/**
+ * POST /api/places/:id/edits
+ * Suggest corrections to a place; suggesting the same values as a pending edit counts as agreeing with it
+ */
+router.post('/',
+    authenticate,
+    [
+        param('id').isUUID(),
+        body('name').optional().trim().isLength({ min: 2, max: 100 }),
+        body('address').optional().trim().notEmpty().isLength({ max: 500 }),
+        body('phone').optional().isMobilePhone('ar-MA'),
+        body('website').optional().isURL(),
+        body('description').optional().trim().isLength({ max: 2000 }),
+        body('priceLevel').optional().isInt({ min: 1, max: 4 }).toInt(),
+        body('openingHours').optional().isObject(),
+        body('note').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const placeResult = await db.query('SELECT * FROM places WHERE id = $1', [req.params.id]);
+        if (placeResult.rows.length === 0) {
+            throw createError.notFound('Place not found');
+        }
+
+        const place = placeResult.rows[0];
+        if (place.archived_at) {
+            throw createError.badRequest('Archived places cannot be edited');
+        }
+        if (place.owner_id === req.user.id) {
+            throw createError.badRequest('Owners edit their place directly');
+        }
+
+        const suggested = {};
+        Object.entries(SUGGESTABLE_FIELDS).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) suggested[column] = req.body[field];
+        });
+
+        if (suggested.opening_hours) {
+            const problems = validateOpeningHours(suggested.opening_hours);
+            if (problems.length > 0) {
+                throw createError.badRequest('Invalid opening hours', problems);
+            }
+        }
+
+        // Only values that differ from the listing are kept, so identical corrections match
+        const changes = diffPlace(place, suggested);
+        if (Object.keys(changes).length === 0) {
+            throw createError.badRequest('The suggestion matches the current listing');
+        }
+        const proposed = {};
+        Object.keys(changes).forEach(column => { proposed[column] = suggested[column]; });
+
+        const outcome = await db.withTransaction(async (client) => {
+            const existing = await client.query(`
+        SELECT * FROM place_edits
+        WHERE place_id = $1 AND status = 'pending' AND proposed = $2::jsonb
+        FOR UPDATE
+      `, [req.params.id, JSON.stringify(proposed)]);
+
+            let edit = existing.rows[0];
+            const isNew = !edit;
+
+            if (isNew) {
+                const inserted = await client.query(`
+          INSERT INTO place_edits (place_id, user_id, proposed, changes, note)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `, [req.params.id, req.user.id, JSON.stringify(proposed), JSON.stringify(changes), req.body.note || null]);
+                edit = inserted.rows[0];
+            }
+
+            const agreement = await client.query(`
+        INSERT INTO place_edit_agreements (edit_id, user_id, is_trusted)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (edit_id, user_id) DO NOTHING
+        RETURNING id
+      `, [edit.id, req.user.id, isTrustedEditor(req.user)]);
+
+            if (agreement.rows.length === 0) {
+                throw createError.conflict('You already suggested this edit');
+            }
+
+            return { edit, isNew, ...await applyIfAgreed(client, edit) };
+        });
+
+        if (outcome.applied) {
+            await notifyEditAuthor(outcome.edit, true, outcome.pointsAwarded);
+        }
+
+        res.status(outcome.isNew ? 201 : 200).json({
+            success: true,
+            message: outcome.applied
+                ? 'Edit applied'
+                : outcome.isNew ? 'Edit suggested' : 'You agreed with a pending edit',
+            data: {
+                ...formatPlaceEdit({ ...outcome.edit, trusted_agreements: outcome.trustedAgreements }),
+                status: outcome.applied ? 'applied' : 'pending',
+            },
+        });
+    })
+);
+
+/**
+ * POST /api/places/:id/edits/:editId/agree
+ * Confirm a pending edit is correct; it applies once enough trusted users agree
+ */
+router.post('/:editId/agree',
+    authenticate,
+    [param('id').isUUID(), param('editId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const outcome = await db.withTransaction(async (client) => {
+            const edit = await lockPendingEdit(client, req.params.editId, req.params.id);
+
+            const agreement = await client.query(`
+        INSERT INTO place_edit_agreements (edit_id, user_id, is_trusted)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (edit_id, user_id) DO NOTHING
+        RETURNING id
+      `, [edit.id, req.user.id, isTrustedEditor(req.user)]);
+
+            if (agreement.rows.length === 0) {
+                throw createError.conflict('You already agreed with this edit');
+            }
+
+            return { edit, ...await applyIfAgreed(client, edit) };
+        });
+
+        if (outcome.applied) {
+            await notifyEditAuthor(outcome.edit, true, outcome.pointsAwarded);
+        }
+
+        res.json({
+            success: true,
+            message: outcome.applied ? 'Edit applied' : 'Agreement recorded',
+            data: {
+                ...formatPlaceEdit({ ...outcome.edit, trusted_agreements: outcome.trustedAgreements }),
+                status: outcome.applied ? 'applied' : 'pending',
+            },
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/edits/:editId/approve
+ * Apply a suggested edit to an owned place
+ */
+router.put('/:editId/approve',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
+    [param('editId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const outcome = await db.withTransaction(async (client) => {
+            const edit = await lockPendingEdit(client, req.params.editId, req.params.id);
+            return { edit, ...await applyPlaceEdit(client, edit, { userId: req.user.id, via: 'owner' }) };
+        });
+
+        await notifyEditAuthor(outcome.edit, true, outcome.pointsAwarded);
+
+        res.json({
+            success: true,
+            message: 'Edit applied',
+            data: { id: outcome.edit.id, status: 'applied', changes: outcome.changes },
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/edits/:editId/reject
+ * Decline a suggested edit to an owned place
+ */
+router.put('/:editId/reject',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
+    [
+        param('editId').isUUID(),
+        body('reason').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const edit = await db.withTransaction(async (client) => {
+            const current = await lockPendingEdit(client, req.params.editId, req.params.id);
+            await rejectPlaceEdit(client, current, { userId: req.user.id, via: 'owner', note: req.body.reason });
+            return current;
+        });
+
+        await notifyEditAuthor(edit, false, 0, req.body.reason);
+
+        res.json({
+            success: true,
+            message: 'Edit rejected',
+            data: { id: edit.id, status: 'rejected' },
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// TAGHRA - Place Orders Routes
+// Incoming-orders dashboard of a restaurant: orders by status, live counts and catch-up after a reconnect
+// Mounted at /api/places/:id/orders
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, authorize, isPlaceOwner } = require('../middleware/auth');
+const { ORDER_STATUSES } = require('../services/orderStatus');
+
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate, authorize('restaurant', 'admin'), isPlaceOwner());
+
+/**
+ * Format an order row for the dashboard
+ * @param {Object} o - orders row with customer_name and customer_phone
+ * @returns {Object} Order payload
+ */
+const formatOrder = (o) => ({
+    id: o.id,
+    status: o.status,
+    items: o.items,
+    subtotal: parseFloat(o.subtotal),
+    discount: parseFloat(o.discount),
+    pointsDiscount: parseFloat(o.points_discount),
+    total: parseFloat(o.total),
+    deliveryAddress: o.delivery_address,
+    notes: o.notes,
+    cancellationReason: o.cancellation_reason,
+    customer: { id: o.user_id, name: o.customer_name, phone: o.customer_phone },
+    createdAt: o.created_at,
+    updatedAt: o.updated_at,
+});
+
+/**
+ * GET /api/places/:id/orders
+ * Orders of an owned place, newest first
+ * `status` takes a comma-separated list; `updatedSince` returns what changed after a timestamp
+ * (pass meta.serverTime from the previous response after a socket reconnect)
+ */
+router.get('/',
+    [
+        param('id').isUUID(),
+        query('status').optional()
+            .customSanitizer(value => String(value).split(',').map(s => s.trim()).filter(Boolean))
+            .custom(list => list.every(status => ORDER_STATUSES.includes(status)))
+            .withMessage(`Statuses must be among ${ORDER_STATUSES.join(', ')}`),
+        query('updatedSince').optional().isISO8601(),
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('offset').optional().isInt({ min: 0 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { status, updatedSince, limit = 20, offset = 0 } = req.query;
+
+        // Read the clock before the orders so changes made during this request show up in the next catch-up
+        const clock = await db.query('SELECT NOW() as now');
+        const serverTime = clock.rows[0].now;
+
+        const params = [req.params.id];
+        let queryText = `
+      SELECT o.*, u.full_name as customer_name, u.phone as customer_phone,
+        COUNT(*) OVER() as total_count
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.id
+      WHERE o.place_id = $1
+    `;
+
+        if (status && status.length > 0) {
+            params.push(status);
+            queryText += ` AND o.status = ANY($${params.length})`;
+        }
+        if (updatedSince) {
+            params.push(updatedSince);
+            queryText += ` AND o.updated_at > $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        queryText += ` ORDER BY o.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        // Open orders whatever their age, finished ones since midnight
+        const [result, counts] = await Promise.all([
+            db.query(queryText, params),
+            db.query(`
+        SELECT status, COUNT(*) as count
+        FROM orders
+        WHERE place_id = $1
+          AND (status NOT IN ('delivered', 'cancelled') OR updated_at >= date_trunc('day', NOW()))
+        GROUP BY status
+      `, [req.params.id]),
+        ]);
+
+        const countsByStatus = Object.fromEntries(ORDER_STATUSES.map(s => [s, 0]));
+        counts.rows.forEach(row => { countsByStatus[row.status] = parseInt(row.count); });
+
+        res.json({
+            success: true,
+            data: result.rows.map(formatOrder),
+            meta: {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                counts: countsByStatus,
+                serverTime,
+            },
+        });
+    })
+);
+
+module.exports = router;
@@ -5,10 +5,131 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, authorize, isPlaceOwner } = require('../middleware/auth');
+const { normalizeText, toSkeleton, rankScore, buildSearchColumns } = require('../utils/search');
+const { getOpenStatus, validateOpeningHours } = require('../utils/openingHours');
+const { MODIFIERS_QUERY, groupModifierRows } = require('../utils/modifiers');
+const { imageUpload, dataFileUpload, uploadedFileUrl } = require('../middleware/upload');
+const { diffPlace, recordPlaceChange } = require('../services/placeChanges');
+const { MAP_PLACES_LIMIT, shouldCluster, clusterCellSize, validateBounds } = require('../utils/mapClusters');
+const { parsePlaceFile, formatFromFilename, toCSV, toGeoJSON } = require('../utils/placeFormats');
+const { importPlaces, exportPlaces } = require('../services/placeImport');
 
 const router = express.Router();
 
+const upload = imageUpload('places');
+const importUpload = dataFileUpload();
+
+// Rows accepted by one import request (larger files go through npm run db:import-places)
+const MAX_IMPORT_ROWS = 5000;
+
+// Upper bound on places scanned when filtering nearby results by open status
+const OPEN_FILTER_CANDIDATES = 500;
+
+// Editable request fields and the column each one writes
+const EDITABLE_FIELDS = {
+    name: 'name',
+    description: 'description',
+    address: 'address',
+    phone: 'phone',
+    website: 'website',
+    priceLevel: 'price_level',
+    openingHours: 'opening_hours',
+    photos: 'photos',
+    features: 'features',
+    tags: 'tags',
+};
+
+// Columns feeding the normalized search columns
+const SEARCH_SOURCE_COLUMNS = ['name', 'description', 'address', 'tags'];
+
+const PLACE_CATEGORIES = ['food', 'health', 'vet', 'admin'];
+
+/**
+ * Format a place row for API responses
+ * @param {Object} place - Place row with latitude/longitude selected
+ * @returns {Object} Place payload
+ */
+const formatPlace = (place) => ({
+    id: place.id,
+    name: place.name,
+    category: place.category,
+    description: place.description,
+    address: place.address,
+    city: place.city,
+    phone: place.phone,
+    website: place.website,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    rating: parseFloat(place.rating) || 0,
+    reviewCount: place.review_count,
+    priceLevel: place.price_level,
+    ...getOpenStatus(place.opening_hours),
+    openingHours: place.opening_hours,
+    photos: place.photos || [],
+    features: place.features || [],
+    tags: place.tags || [],
+    ownerName: place.owner_name,
+    isVerified: place.is_verified,
+    archivedAt: place.archived_at,
+    locationUpdatedAt: place.location_updated_at,
+    createdAt: place.created_at,
+});
+
+/**
+ * Get which of the given places the user has favorited
+ * @param {Object|undefined} user - req.user (set by optionalAuth)
+ * @param {Array<string>} placeIds - Place IDs in the response
+ * @returns {Promise<Set|null>} Favorited place IDs, or null when anonymous
+ */
+const getFavoriteIds = async (user, placeIds) => {
+    if (!user) return null;
+    if (placeIds.length === 0) return new Set();
+
+    const result = await db.query(
+        'SELECT place_id FROM favorites WHERE user_id = $1 AND place_id = ANY($2)',
+        [user.id, placeIds]
+    );
+    return new Set(result.rows.map(r => r.place_id));
+};
+
+/**
+ * Add isFavorite to place payloads when a user is known
+ * @param {Array<Object>} places - Place payloads with id
+ * @param {Set|null} favoriteIds - Output of getFavoriteIds
+ * @returns {Array<Object>} Payloads, untouched for anonymous requests
+ */
+const withFavorites = (places, favoriteIds) => {
+    if (!favoriteIds) return places;
+    return places.map(place => ({ ...place, isFavorite: favoriteIds.has(place.id) }));
+};
+
+/**
+ * Validators shared by place create and update
+ */
+const placeFieldValidators = [
+    body('description').optional().trim().isLength({ max: 2000 }),
+    body('phone').optional().isMobilePhone('ar-MA'),
+    body('website').optional().isURL(),
+    body('priceLevel').optional().isInt({ min: 1, max: 4 }),
+    body('openingHours').optional().isObject(),
+    body('features').optional().isArray({ max: 30 }),
+    body('features.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('tags').optional().isArray({ max: 30 }),
+    body('tags.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+];
+
+/**
+ * Throw a 400 when opening hours are malformed
+ * @param {Object} openingHours - Candidate opening_hours
+ */
+const assertValidOpeningHours = (openingHours) => {
+    const problems = validateOpeningHours(openingHours);
+    if (problems.length > 0) {
+        throw createError.badRequest('Invalid opening hours', problems);
+    }
+};
+
 /**
  * GET /api/places/nearby
  * Get places near a location with optional filters
@@ -18,7 +139,7 @@ router.get('/nearby',
         query('lat').isFloat({ min: -90, max: 90 }),
         query('lng').isFloat({ min: -180, max: 180 }),
         query('radius').optional().isInt({ min: 100, max: 50000 }),
-        query('category').optional().isIn(['food', 'health', 'vet', 'admin']),
+        query('category').optional().isIn(PLACE_CATEGORIES),
         query('open').optional().isBoolean(),
         query('limit').optional().isInt({ min: 1, max: 100 }),
         query('offset').optional().isInt({ min: 0 }),
@@ -58,8 +179,9 @@ router.get('/nearby',
         p.rating,
         p.review_count,
         p.price_level,
-        p.is_open,
+        p.opening_hours,
         p.photos,
+        p.location_updated_at,
         p.created_at
       FROM places p
       WHERE ST_DWithin(
@@ -67,6 +189,7 @@ router.get('/nearby',
         ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
         $3
       )
+      AND p.archived_at IS NULL
     `;
 
         const params = [lng, lat, radius];
@@ -79,43 +202,47 @@ router.get('/nearby',
             paramIndex++;
         }
 
-        // Add open filter
-        if (open !== undefined) {
-            queryText += ` AND p.is_open = $${paramIndex}`;
-            params.push(open === 'true');
-            paramIndex++;
-        }
+        // Open status depends on the clock, so the open filter runs after the
+        // query over a bounded candidate set and paging is applied in memory
+        const filterOpen = open !== undefined;
 
-        // Order by distance and add pagination
-        queryText += `
-      ORDER BY distance
-      LIMIT $${paramIndex}
-      OFFSET $${paramIndex + 1}
-    `;
-        params.push(limit, offset);
+        queryText += ` ORDER BY distance LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+        params.push(filterOpen ? OPEN_FILTER_CANDIDATES : limit, filterOpen ? 0 : offset);
 
         const result = await db.query(queryText, params);
+        const now = new Date();
+
+        let places = result.rows.map(place => ({
+            id: place.id,
+            name: place.name,
+            category: place.category,
+            description: place.description,
+            address: place.address,
+            phone: place.phone,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            distance: Math.round(place.distance),
+            rating: parseFloat(place.rating) || 0,
+            reviewCount: place.review_count,
+            priceLevel: place.price_level,
+            ...getOpenStatus(place.opening_hours, now),
+            photos: place.photos || [],
+            locationUpdatedAt: place.location_updated_at,
+        }));
+
+        if (filterOpen) {
+            places = places
+                .filter(place => place.isOpen === (open === 'true'))
+                .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+        }
+
+        places = withFavorites(places, await getFavoriteIds(req.user, places.map(p => p.id)));
 
         res.json({
             success: true,
-            data: result.rows.map(place => ({
-                id: place.id,
-                name: place.name,
-                category: place.category,
-                description: place.description,
-                address: place.address,
-                phone: place.phone,
-                latitude: place.latitude,
-                longitude: place.longitude,
-                distance: Math.round(place.distance),
-                rating: parseFloat(place.rating) || 0,
-                reviewCount: place.review_count,
-                priceLevel: place.price_level,
-                isOpen: place.is_open,
-                photos: place.photos || [],
-            })),
+            data: places,
             meta: {
-                total: result.rows.length,
+                total: places.length,
                 limit: parseInt(limit),
                 offset: parseInt(offset),
             },
@@ -123,59 +250,397 @@ router.get('/nearby',
     })
 );
 
+/**
+ * GET /api/places/map
+ * Places inside a viewport: individual markers when zoomed in, clusters with
+ * per-category counts when zoomed out (single-place cells come back as places)
+ */
+router.get('/map',
+    [
+        query('north').isFloat({ min: -90, max: 90 }).toFloat(),
+        query('south').isFloat({ min: -90, max: 90 }).toFloat(),
+        query('east').isFloat({ min: -180, max: 180 }).toFloat(),
+        query('west').isFloat({ min: -180, max: 180 }).toFloat(),
+        query('zoom').isInt({ min: 0, max: 22 }).toInt(),
+        // Comma-separated, e.g. category=food,vet
+        query('category').optional()
+            .customSanitizer(value => String(value).split(',').filter(Boolean))
+            .custom(list => list.every(category => PLACE_CATEGORIES.includes(category)))
+            .withMessage(`Categories must be among ${PLACE_CATEGORIES.join(', ')}`),
+    ],
+    optionalAuth,
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { north, south, east, west, zoom, category = [] } = req.query;
+
+        const problems = validateBounds({ north, south, east, west });
+        if (problems.length > 0) {
+            throw createError.badRequest('Invalid bounds', problems);
+        }
+
+        const params = [west, south, east, north];
+        let visibleFilter = `
+        p.archived_at IS NULL
+        AND p.location && ST_MakeEnvelope($1, $2, $3, $4, 4326)::geography
+      `;
+        if (category.length > 0) {
+            params.push(category);
+            visibleFilter += ` AND p.category = ANY($${params.length})`;
+        }
+
+        const placeColumns = `
+        p.id, p.name, p.category, p.address,
+        ST_Y(p.location::geometry) as latitude,
+        ST_X(p.location::geometry) as longitude,
+        p.rating, p.review_count, p.price_level, p.opening_hours, p.photos
+      `;
+
+        let placeRows;
+        let clusters = [];
+        let isTruncated = false;
+
+        if (!shouldCluster(zoom)) {
+            const result = await db.query(`
+        SELECT ${placeColumns}
+        FROM places p
+        WHERE ${visibleFilter}
+        ORDER BY p.rating DESC NULLS LAST, p.review_count DESC
+        LIMIT ${MAP_PLACES_LIMIT + 1}
+      `, params);
+
+            isTruncated = result.rows.length > MAP_PLACES_LIMIT;
+            placeRows = result.rows.slice(0, MAP_PLACES_LIMIT);
+        } else {
+            const cellSize = clusterCellSize(zoom);
+            const result = await db.query(`
+        WITH visible AS (
+          SELECT p.id, p.category,
+            ST_Y(p.location::geometry) as lat,
+            ST_X(p.location::geometry) as lng
+          FROM places p
+          WHERE ${visibleFilter}
+        ),
+        cells AS (
+          SELECT
+            floor(lng / $${params.length + 1}) as gx,
+            floor(lat / $${params.length + 1}) as gy,
+            category,
+            COUNT(*) as n,
+            SUM(lat) as lat_sum, SUM(lng) as lng_sum,
+            MIN(lat) as min_lat, MAX(lat) as max_lat,
+            MIN(lng) as min_lng, MAX(lng) as max_lng,
+            MIN(id::text) as place_id
+          FROM visible
+          GROUP BY 1, 2, 3
+        )
+        SELECT
+          gx, gy,
+          SUM(n)::int as count,
+          SUM(lat_sum) / SUM(n) as latitude,
+          SUM(lng_sum) / SUM(n) as longitude,
+          MIN(min_lat) as south, MAX(max_lat) as north,
+          MIN(min_lng) as west, MAX(max_lng) as east,
+          jsonb_object_agg(category, n) as categories,
+          MIN(place_id) as place_id
+        FROM cells
+        GROUP BY gx, gy
+      `, [...params, cellSize]);
+
+            clusters = result.rows
+                .filter(cell => cell.count > 1)
+                .map(cell => ({
+                    id: `${zoom}:${cell.gx}:${cell.gy}`,
+                    latitude: parseFloat(cell.latitude),
+                    longitude: parseFloat(cell.longitude),
+                    count: cell.count,
+                    categories: cell.categories,
+                    bounds: {
+                        north: cell.north,
+                        south: cell.south,
+                        east: cell.east,
+                        west: cell.west,
+                    },
+                }));
+
+            // A cell holding a single place is shown as that place
+            const singleIds = result.rows.filter(cell => cell.count === 1).map(cell => cell.place_id);
+            placeRows = singleIds.length === 0 ? [] : (await db.query(`
+        SELECT ${placeColumns}
+        FROM places p
+        WHERE p.id = ANY($1)
+      `, [singleIds])).rows;
+        }
+
+        const now = new Date();
+        let places = placeRows.map(place => ({
+            id: place.id,
+            name: place.name,
+            category: place.category,
+            address: place.address,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            rating: parseFloat(place.rating) || 0,
+            reviewCount: place.review_count,
+            priceLevel: place.price_level,
+            ...getOpenStatus(place.opening_hours, now),
+            photos: place.photos || [],
+        }));
+
+        places = withFavorites(places, await getFavoriteIds(req.user, places.map(p => p.id)));
+
+        res.json({
+            success: true,
+            data: {
+                mode: shouldCluster(zoom) ? 'clusters' : 'places',
+                places,
+                clusters,
+            },
+            meta: {
+                zoom,
+                total: places.length + clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+                truncated: isTruncated,
+            },
+        });
+    })
+);
+
 /**
  * GET /api/places/search
- * Search places by name or keyword
+ * Ranked, typo-tolerant search across Arabic, French and Darija spellings
  */
 router.get('/search',
     [
         query('query').notEmpty().trim(),
-        query('lat').optional().isFloat(),
-        query('lng').optional().isFloat(),
+        query('lat').optional().isFloat({ min: -90, max: 90 }),
+        query('lng').optional().isFloat({ min: -180, max: 180 }),
+        query('category').optional().isIn(PLACE_CATEGORIES),
         query('limit').optional().isInt({ min: 1, max: 50 }),
     ],
+    optionalAuth,
     asyncHandler(async (req, res) => {
-        const { query: searchQuery, lat, lng, limit = 20 } = req.query;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { query: searchQuery, lat, lng, category, limit = 20 } = req.query;
+        const hasLocation = lat !== undefined && lng !== undefined;
 
+        const normalized = normalizeText(searchQuery);
+        if (!normalized) {
+            throw createError.badRequest('Search query has no searchable characters');
+        }
+
+        const params = [normalized, toSkeleton(normalized)];
+
+        // Skeleton matches are weaker (vowels dropped), substring hits in
+        // tags/address/description rank below a good name match
         let queryText = `
-      SELECT 
-        id, name, category, address, rating, review_count,
-        ST_Y(location::geometry) as latitude,
-        ST_X(location::geometry) as longitude
+      SELECT
+        p.id, p.name, p.category, p.address, p.rating, p.review_count, p.opening_hours,
+        ST_Y(p.location::geometry) as latitude,
+        ST_X(p.location::geometry) as longitude,
+        GREATEST(
+          word_similarity($1, p.search_name),
+          word_similarity($2, p.search_skeleton) * 0.8,
+          CASE WHEN p.search_text LIKE '%' || $1 || '%' THEN 0.6
+               ELSE word_similarity($1, p.search_text) * 0.5 END
+        ) as relevance
     `;
 
-        const params = [`%${searchQuery}%`];
-
-        // Add distance if coordinates provided
-        if (lat && lng) {
+        if (hasLocation) {
             queryText += `,
         ST_Distance(
-          location,
-          ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography
+          p.location,
+          ST_SetSRID(ST_MakePoint($3, $4), 4326)::geography
         ) as distance
       `;
             params.push(lng, lat);
         }
 
         queryText += `
-      FROM places
-      WHERE name ILIKE $1 OR description ILIKE $1 OR address ILIKE $1
+      FROM places p
+      WHERE ($1 <% p.search_name OR $2 <% p.search_skeleton OR $1 <% p.search_text)
+        AND p.archived_at IS NULL
     `;
 
-        // Order by distance if available, otherwise by rating
-        if (lat && lng) {
-            queryText += ` ORDER BY distance LIMIT $4`;
-            params.push(limit);
-        } else {
-            queryText += ` ORDER BY rating DESC NULLS LAST LIMIT $2`;
-            params.push(limit);
+        if (category) {
+            queryText += ` AND p.category = $${params.length + 1}`;
+            params.push(category);
         }
 
+        // Fetch a wider candidate pool so distance can reorder close matches
+        queryText += ` ORDER BY relevance DESC, p.rating DESC NULLS LAST LIMIT $${params.length + 1}`;
+        params.push(Math.min(parseInt(limit) * 3, 100));
+
         const result = await db.query(queryText, params);
 
+        const now = new Date();
+        const ranked = result.rows
+            .map(place => {
+                const relevance = parseFloat(place.relevance) || 0;
+                const distance = hasLocation ? place.distance : null;
+                return {
+                    id: place.id,
+                    name: place.name,
+                    category: place.category,
+                    address: place.address,
+                    latitude: place.latitude,
+                    longitude: place.longitude,
+                    distance: distance !== null ? Math.round(distance) : null,
+                    rating: parseFloat(place.rating) || 0,
+                    reviewCount: place.review_count,
+                    ...getOpenStatus(place.opening_hours, now),
+                    relevance: Math.round(relevance * 100) / 100,
+                    score: rankScore(relevance, distance),
+                };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, parseInt(limit));
+
+        res.json({
+            success: true,
+            data: withFavorites(ranked, await getFavoriteIds(req.user, ranked.map(p => p.id))),
+            meta: {
+                query: searchQuery,
+                normalizedQuery: normalized,
+                total: ranked.length,
+            },
+        });
+    })
+);
+
+/**
+ * POST /api/places/import
+ * Import places from a GeoJSON or CSV file (multipart field `file`), upserting by external_id
+ * ?dryRun=true validates and reports what would change without writing
+ */
+router.post('/import',
+    authenticate,
+    authorize('admin'),
+    importUpload.single('file'),
+    [
+        query('dryRun').optional().isBoolean(),
+        query('format').optional().isIn(['geojson', 'csv']),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        if (!req.file) {
+            throw createError.badRequest('No file uploaded');
+        }
+
+        const format = req.query.format || formatFromFilename(req.file.originalname);
+
+        let entries;
+        try {
+            entries = parsePlaceFile(format, req.file.buffer.toString('utf8'));
+        } catch (error) {
+            throw createError.badRequest(`Could not read ${format} file: ${error.message}`);
+        }
+
+        if (entries.length === 0) {
+            throw createError.badRequest('The file has no places');
+        }
+        if (entries.length > MAX_IMPORT_ROWS) {
+            throw createError.badRequest(`Files are limited to ${MAX_IMPORT_ROWS} places, use the db:import-places script for more`);
+        }
+
+        const report = await importPlaces(entries, {
+            dryRun: req.query.dryRun === 'true',
+            userId: req.user.id,
+        });
+
         res.json({
             success: true,
-            data: result.rows,
+            message: report.dryRun ? 'Dry run, nothing was written' : 'Import finished',
+            data: report,
+        });
+    })
+);
+
+/**
+ * GET /api/places/export
+ * Export places as GeoJSON (default) or CSV, filtered by category, city or bounding box
+ */
+router.get('/export',
+    authenticate,
+    authorize('admin'),
+    [
+        query('format').optional().isIn(['geojson', 'csv']),
+        query('category').optional().isIn(PLACE_CATEGORIES),
+        query('city').optional().trim().notEmpty(),
+        // west,south,east,north
+        query('bbox').optional().matches(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/),
+        query('includeArchived').optional().isBoolean(),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { format = 'geojson', category, city } = req.query;
+
+        let bbox;
+        if (req.query.bbox) {
+            const [west, south, east, north] = req.query.bbox.split(',').map(Number);
+            bbox = { west, south, east, north };
+            const problems = validateBounds(bbox);
+            if (problems.length > 0) {
+                throw createError.badRequest('Invalid bounds', problems);
+            }
+        }
+
+        const places = await exportPlaces({
+            category,
+            city,
+            bbox,
+            includeArchived: req.query.includeArchived === 'true',
+        });
+
+        const filename = `places-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(toCSV(places));
+        }
+
+        res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.geojson"`);
+        res.send(JSON.stringify(toGeoJSON(places)));
+    })
+);
+
+/**
+ * GET /api/places/mine
+ * Get places owned by the current user, including archived ones
+ */
+router.get('/mine',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    asyncHandler(async (req, res) => {
+        const result = await db.query(`
+      SELECT
+        p.*,
+        ST_Y(p.location::geometry) as latitude,
+        ST_X(p.location::geometry) as longitude
+      FROM places p
+      WHERE p.owner_id = $1
+      ORDER BY p.archived_at NULLS FIRST, p.created_at DESC
+    `, [req.user.id]);
+
+        res.json({
+            success: true,
+            data: result.rows.map(formatPlace),
         });
     })
 );
@@ -197,38 +662,18 @@ router.get('/:id',
         u.full_name as owner_name
       FROM places p
       LEFT JOIN users u ON p.owner_id = u.id
-      WHERE p.id = $1
+      WHERE p.id = $1 AND p.archived_at IS NULL
     `, [id]);
 
         if (result.rows.length === 0) {
             throw createError.notFound('Place not found');
         }
 
-        const place = result.rows[0];
+        const favoriteIds = await getFavoriteIds(req.user, [id]);
 
         res.json({
             success: true,
-            data: {
-                id: place.id,
-                name: place.name,
-                category: place.category,
-                description: place.description,
-                address: place.address,
-                phone: place.phone,
-                website: place.website,
-                latitude: place.latitude,
-                longitude: place.longitude,
-                rating: parseFloat(place.rating) || 0,
-                reviewCount: place.review_count,
-                priceLevel: place.price_level,
-                isOpen: place.is_open,
-                openingHours: place.opening_hours,
-                photos: place.photos || [],
-                features: place.features || [],
-                tags: place.tags || [],
-                ownerName: place.owner_name,
-                createdAt: place.created_at,
-            },
+            data: withFavorites([formatPlace(result.rows[0])], favoriteIds)[0],
         });
     })
 );
@@ -264,14 +709,22 @@ router.get('/:id/menu',
         mi.name,
         mi.description,
         mi.price,
-        mi.image,
-        mi.is_available
+        mi.image_url,
+        mi.is_available,
+        mi.is_popular,
+        mi.allergens
       FROM menu_categories mc
       LEFT JOIN menu_items mi ON mc.id = mi.category_id AND mi.is_available = true
       WHERE mc.place_id = $1
       ORDER BY mc.sort_order, mi.sort_order
     `, [id]);
 
+        const modifierResult = await db.query(
+            MODIFIERS_QUERY,
+            [result.rows.filter(row => row.id).map(row => row.id)]
+        );
+        const modifiers = groupModifierRows(modifierResult.rows);
+
         // Group items by category
         const menuByCategory = {};
         result.rows.forEach(row => {
@@ -288,8 +741,11 @@ router.get('/:id/menu',
                     name: row.name,
                     description: row.description,
                     price: parseFloat(row.price),
-                    image: row.image,
+                    image: row.image_url,
                     isAvailable: row.is_available,
+                    isPopular: row.is_popular,
+                    allergens: row.allergens || [],
+                    modifierGroups: modifiers.get(row.id) || [],
                 });
             }
         });
@@ -302,65 +758,176 @@ router.get('/:id/menu',
 );
 
 /**
- * GET /api/places/:id/reviews
- * Get reviews for a place
+ * PUT /api/places/:id
+ * Update details, hours, photos, features and tags of an owned place
+ * `photos` may only reorder or remove existing photos; upload new ones via POST /:id/photos
  */
-router.get('/:id/reviews',
+router.put('/:id',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
     [
-        query('limit').optional().isInt({ min: 1, max: 50 }),
-        query('offset').optional().isInt({ min: 0 }),
+        body('name').optional().trim().isLength({ min: 2, max: 100 }),
+        body('address').optional().trim().notEmpty().isLength({ max: 500 }),
+        body('latitude').optional().isFloat({ min: -90, max: 90 }),
+        body('longitude').optional().isFloat({ min: -180, max: 180 }),
+        body('photos').optional().isArray({ max: 20 }),
+        ...placeFieldValidators,
     ],
     asyncHandler(async (req, res) => {
-        const { id } = req.params;
-        const { limit = 20, offset = 0 } = req.query;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
 
-        const result = await db.query(`
-      SELECT 
-        r.id,
-        r.rating,
-        r.comment,
-        r.photos,
-        r.tags,
-        r.helpful_count,
-        r.created_at,
-        u.id as user_id,
-        u.full_name as user_name
-      FROM reviews r
-      JOIN users u ON r.user_id = u.id
-      WHERE r.place_id = $1
-      ORDER BY r.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [id, limit, offset]);
+        if (req.place.archived_at) {
+            throw createError.badRequest('Archived places cannot be edited');
+        }
+
+        const { latitude, longitude } = req.body;
+        if ((latitude === undefined) !== (longitude === undefined)) {
+            throw createError.badRequest('Latitude and longitude must be updated together');
+        }
+
+        const updates = {};
+        Object.entries(EDITABLE_FIELDS).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) updates[column] = req.body[field];
+        });
+
+        if (updates.opening_hours) {
+            assertValidOpeningHours(updates.opening_hours);
+        }
+
+        if (Object.keys(updates).length === 0 && latitude === undefined) {
+            throw createError.badRequest('No fields to update');
+        }
+
+        const place = await db.withTransaction(async (client) => {
+            const currentResult = await client.query(`
+        SELECT *, ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+        FROM places WHERE id = $1
+        FOR UPDATE
+      `, [req.params.id]);
+            const current = currentResult.rows[0];
+
+            if (updates.photos) {
+                const existing = current.photos || [];
+                const unknown = updates.photos.filter(photo => !existing.includes(photo));
+                if (unknown.length > 0) {
+                    throw createError.badRequest('Photos must be uploaded before they can be listed', unknown);
+                }
+            }
+
+            const compared = { ...updates };
+            if (latitude !== undefined) {
+                compared.latitude = parseFloat(latitude);
+                compared.longitude = parseFloat(longitude);
+            }
+
+            const changes = diffPlace(current, compared);
+            if (Object.keys(changes).length === 0) {
+                return current;
+            }
+
+            const sets = [];
+            const values = [];
+            Object.keys(updates).filter(column => changes[column]).forEach(column => {
+                values.push(column === 'opening_hours' ? JSON.stringify(updates[column]) : updates[column]);
+                sets.push(`${column} = $${values.length}`);
+            });
+
+            if (changes.latitude || changes.longitude) {
+                values.push(compared.longitude, compared.latitude);
+                sets.push(`location = ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)`);
+            }
+
+            if (SEARCH_SOURCE_COLUMNS.some(column => changes[column])) {
+                const search = buildSearchColumns({ ...current, ...updates });
+                Object.entries(search).forEach(([column, value]) => {
+                    values.push(value);
+                    sets.push(`${column} = $${values.length}`);
+                });
+            }
+
+            values.push(req.params.id);
+            const result = await client.query(`
+        UPDATE places SET ${sets.join(', ')}, updated_at = NOW()
+        WHERE id = $${values.length}
+        RETURNING *, ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+      `, values);
+
+            await recordPlaceChange(client, {
+                placeId: req.params.id,
+                userId: req.user.id,
+                action: 'update',
+                changes,
+            });
+
+            return result.rows[0];
+        });
 
         res.json({
             success: true,
-            data: result.rows.map(r => ({
-                id: r.id,
-                rating: r.rating,
-                comment: r.comment,
-                photos: r.photos || [],
-                tags: r.tags || [],
-                helpfulCount: r.helpful_count,
-                createdAt: r.created_at,
-                user: {
-                    id: r.user_id,
-                    name: r.user_name,
-                },
-            })),
+            message: 'Place updated',
+            data: formatPlace(place),
         });
     })
 );
 
 /**
- * POST /api/places/:id/reviews
- * Add a review to a place
+ * POST /api/places/:id/photos
+ * Upload photos to an owned place
  */
-router.post('/:id/reviews',
+router.post('/:id/photos',
     authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
+    upload.array('photos', 10),
+    asyncHandler(async (req, res) => {
+        if (req.place.archived_at) {
+            throw createError.badRequest('Archived places cannot be edited');
+        }
+
+        const added = (req.files || []).map(f => uploadedFileUrl('places', f));
+        if (added.length === 0) {
+            throw createError.badRequest('No photos uploaded');
+        }
+
+        const photos = await db.withTransaction(async (client) => {
+            const result = await client.query(`
+        UPDATE places SET photos = COALESCE(photos, '{}') || $1::text[], updated_at = NOW()
+        WHERE id = $2
+        RETURNING photos
+      `, [added, req.params.id]);
+
+            await recordPlaceChange(client, {
+                placeId: req.params.id,
+                userId: req.user.id,
+                action: 'photos_added',
+                changes: { photos: { from: null, to: added } },
+            });
+
+            return result.rows[0].photos;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Photos uploaded',
+            data: { added, photos },
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/archive
+ * Archive an owned place (hidden from search, nearby and details)
+ */
+router.put('/:id/archive',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
     [
-        body('rating').isInt({ min: 1, max: 5 }),
-        body('comment').optional().trim().isLength({ max: 1000 }),
-        body('tags').optional().isArray(),
+        body('reason').optional().trim().isLength({ max: 500 }),
     ],
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
@@ -368,53 +935,62 @@ router.post('/:id/reviews',
             throw createError.badRequest('Validation failed', errors.array());
         }
 
-        const { id } = req.params;
-        const { rating, comment, tags = [], photos = [] } = req.body;
-        const userId = req.user.id;
-
-        // Check if place exists
-        const placeResult = await db.query('SELECT id FROM places WHERE id = $1', [id]);
-        if (placeResult.rows.length === 0) {
-            throw createError.notFound('Place not found');
+        if (req.place.archived_at) {
+            throw createError.badRequest('Place is already archived');
         }
 
-        // Check if user already reviewed
-        const existingReview = await db.query(
-            'SELECT id FROM reviews WHERE place_id = $1 AND user_id = $2',
-            [id, userId]
-        );
+        const archived = await db.withTransaction(async (client) => {
+            const result = await client.query(`
+        UPDATE places SET archived_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, archived_at
+      `, [req.params.id]);
+
+            await recordPlaceChange(client, {
+                placeId: req.params.id,
+                userId: req.user.id,
+                action: 'archive',
+                changes: { reason: req.body.reason || null },
+            });
+
+            return result.rows[0];
+        });
 
-        if (existingReview.rows.length > 0) {
-            throw createError.conflict('You have already reviewed this place');
-        }
+        res.json({
+            success: true,
+            message: 'Place archived',
+            data: { id: archived.id, archivedAt: archived.archived_at },
+        });
+    })
+);
 
-        // Create review
+/**
+ * GET /api/places/:id/history
+ * Get the change log of an owned place
+ */
+router.get('/:id/history',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
+    asyncHandler(async (req, res) => {
         const result = await db.query(`
-      INSERT INTO reviews (place_id, user_id, rating, comment, tags, photos)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, rating, comment, tags, photos, created_at
-    `, [id, userId, rating, comment, tags, photos]);
-
-        // Update place rating
-        await db.query(`
-      UPDATE places SET
-        rating = (SELECT AVG(rating) FROM reviews WHERE place_id = $1),
-        review_count = (SELECT COUNT(*) FROM reviews WHERE place_id = $1)
-      WHERE id = $1
-    `, [id]);
-
-        // Award points to user
-        const pointsToAward = photos.length > 0 ? 5 : 3;
-        await db.query(
-            'UPDATE users SET points = points + $1 WHERE id = $2',
-            [pointsToAward, userId]
-        );
+      SELECT pc.id, pc.action, pc.changes, pc.created_at, u.id as user_id, u.full_name as user_name
+      FROM place_changes pc
+      LEFT JOIN users u ON pc.user_id = u.id
+      WHERE pc.place_id = $1
+      ORDER BY pc.created_at DESC
+      LIMIT 100
+    `, [req.params.id]);
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Review added successfully',
-            data: result.rows[0],
-            pointsEarned: pointsToAward,
+            data: result.rows.map(c => ({
+                id: c.id,
+                action: c.action,
+                changes: c.changes,
+                createdAt: c.created_at,
+                user: { id: c.user_id, name: c.user_name },
+            })),
         });
     })
 );
@@ -0,0 +1,505 @@
+// TAGHRA - Reviews Routes
+// Reviews of a place: create, edit, delete, helpful votes, reports and owner replies
+// Mounted at /api/places/:id/reviews
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticate, optionalAuth, authorize, isPlaceOwner } = require('../middleware/auth');
+const { imageUpload, uploadedFileUrl, assertImageFiles, removeUploadedFiles } = require('../middleware/upload');
+const { refreshPlaceRating, findVerifiedPurchase } = require('../services/reviews');
+const { awardPoints, reversePoints } = require('../services/points');
+const { checkBadges } = require('../services/badges');
+
+const router = express.Router({ mergeParams: true });
+
+const upload = imageUpload('reviews');
+
+// Photos allowed on a single review
+const MAX_REVIEW_PHOTOS = 5;
+
+// Points for a new review, with a bonus when photos were stored with it
+const REVIEW_POINTS = 3;
+const REVIEW_WITH_PHOTO_POINTS = 5;
+
+// Reasons a review can be reported for
+const REPORT_REASONS = ['spam', 'offensive', 'fake', 'off_topic', 'personal_info', 'other'];
+
+/**
+ * Throw on express-validator errors
+ * @param {Object} req - Express request
+ */
+const assertValid = (req) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw createError.badRequest('Validation failed', errors.array());
+    }
+};
+
+/**
+ * Load a review of this place, or throw 404
+ * @param {Object} executor - db module or transaction client
+ * @param {string} placeId - Place ID
+ * @param {string} reviewId - Review ID
+ * @param {boolean} lock - Lock the row for the rest of the transaction
+ * @returns {Promise<Object>} Review row
+ */
+const findReview = async (executor, placeId, reviewId, lock = false) => {
+    const result = await executor.query(`
+    SELECT id, user_id, place_id, rating, photos FROM reviews
+    WHERE id = $1 AND place_id = $2
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [reviewId, placeId]);
+
+    if (result.rows.length === 0) {
+        throw createError.notFound('Review not found');
+    }
+    return result.rows[0];
+};
+
+/**
+ * GET /api/places/:id/reviews
+ * Get reviews for a place (?verified=true for verified purchases only)
+ */
+router.get('/',
+    [
+        query('limit').optional().isInt({ min: 1, max: 50 }),
+        query('offset').optional().isInt({ min: 0 }),
+        query('verified').optional().isBoolean(),
+    ],
+    optionalAuth,
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { id } = req.params;
+        const { limit = 20, offset = 0 } = req.query;
+        const verifiedOnly = req.query.verified === 'true';
+
+        const result = await db.query(`
+      SELECT
+        r.id,
+        r.rating,
+        r.comment,
+        r.photos,
+        r.tags,
+        r.helpful_count,
+        r.is_verified_purchase,
+        r.order_id,
+        r.created_at,
+        r.updated_at,
+        u.id as user_id,
+        u.full_name as user_name,
+        rr.body as reply_body,
+        rr.created_at as reply_created_at,
+        rr.updated_at as reply_updated_at,
+        ${req.user ? 'EXISTS (SELECT 1 FROM review_votes rv WHERE rv.review_id = r.id AND rv.user_id = $4)' : 'NULL'} as has_voted
+      FROM reviews r
+      JOIN users u ON r.user_id = u.id
+      LEFT JOIN review_replies rr ON rr.review_id = r.id
+      WHERE r.place_id = $1
+        ${verifiedOnly ? 'AND r.is_verified_purchase = true' : ''}
+      ORDER BY r.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, req.user ? [id, limit, offset, req.user.id] : [id, limit, offset]);
+
+        res.json({
+            success: true,
+            data: result.rows.map(r => ({
+                id: r.id,
+                rating: r.rating,
+                comment: r.comment,
+                photos: r.photos || [],
+                tags: r.tags || [],
+                helpfulCount: r.helpful_count,
+                hasVoted: r.has_voted,
+                isVerified: r.is_verified_purchase,
+                verifiedVia: r.is_verified_purchase ? (r.order_id ? 'order' : 'appointment') : null,
+                isEdited: r.updated_at > r.created_at,
+                createdAt: r.created_at,
+                updatedAt: r.updated_at,
+                user: {
+                    id: r.user_id,
+                    name: r.user_name,
+                },
+                ownerReply: r.reply_body ? {
+                    body: r.reply_body,
+                    createdAt: r.reply_created_at,
+                    updatedAt: r.reply_updated_at,
+                } : null,
+            })),
+        });
+    })
+);
+
+/**
+ * POST /api/places/:id/reviews
+ * Add a review to a place (multipart; photos are uploaded in the `photos` field)
+ */
+router.post('/',
+    authenticate,
+    upload.array('photos', MAX_REVIEW_PHOTOS),
+    [
+        body('rating').isInt({ min: 1, max: 5 }),
+        body('comment').optional().trim().isLength({ max: 1000 }),
+        // Multipart sends a single tag as a plain string
+        body('tags').optional().customSanitizer(tags => [].concat(tags)),
+    ],
+    asyncHandler(async (req, res) => {
+        let isStored = false;
+
+        try {
+            assertValid(req);
+            await assertImageFiles(req.files);
+
+            const { id } = req.params;
+            const { rating, comment, tags = [] } = req.body;
+            const photos = (req.files || []).map(f => uploadedFileUrl('reviews', f));
+            const userId = req.user.id;
+
+            // Check if place exists
+            const placeResult = await db.query('SELECT id FROM places WHERE id = $1', [id]);
+            if (placeResult.rows.length === 0) {
+                throw createError.notFound('Place not found');
+            }
+
+            // Check if user already reviewed
+            const existingReview = await db.query(
+                'SELECT id FROM reviews WHERE place_id = $1 AND user_id = $2',
+                [id, userId]
+            );
+
+            if (existingReview.rows.length > 0) {
+                throw createError.conflict('You have already reviewed this place');
+            }
+
+            // Link the review to a delivered order or completed appointment when there is one
+            const purchase = await findVerifiedPurchase(db, userId, id);
+
+            const { review, pointsToAward } = await db.withTransaction(async (client) => {
+                // Create review
+                const result = await client.query(`
+            INSERT INTO reviews (place_id, user_id, rating, comment, tags, photos, is_verified_purchase, order_id, appointment_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, rating, comment, tags, photos, is_verified_purchase, created_at
+          `, [id, userId, rating, comment, tags, photos, purchase !== null, purchase?.orderId, purchase?.appointmentId]);
+
+                // Update place rating
+                await refreshPlaceRating(client, id);
+
+                // Award points to user; the photo bonus only counts photos stored above
+                const points = photos.length > 0 ? REVIEW_WITH_PHOTO_POINTS : REVIEW_POINTS;
+                const pointsToAward = await awardPoints(client, userId, points, {
+                    action: 'review',
+                    description: 'Review posted',
+                    referenceType: 'review',
+                    referenceId: result.rows[0].id,
+                });
+
+                return { review: result.rows[0], pointsToAward };
+            });
+            isStored = true;
+
+            await checkBadges(userId, 'review');
+
+            res.status(201).json({
+                success: true,
+                message: 'Review added successfully',
+                data: review,
+                pointsEarned: pointsToAward,
+            });
+        } catch (error) {
+            // Files were written before the request was checked; keep them once the review owns them
+            if (!isStored) await removeUploadedFiles(req.files);
+            throw error;
+        }
+    })
+);
+
+/**
+ * PUT /api/places/:id/reviews/:reviewId
+ * Edit your own review
+ * `photos` may only reorder or remove existing photos; upload new ones via POST /:reviewId/photos
+ */
+router.put('/:reviewId',
+    authenticate,
+    [
+        param('reviewId').isUUID(),
+        body('rating').optional().isInt({ min: 1, max: 5 }),
+        body('comment').optional().trim().isLength({ max: 1000 }),
+        body('tags').optional().isArray(),
+        body('photos').optional().isArray(),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const { rating, comment, tags, photos } = req.body;
+        if ([rating, comment, tags, photos].every(value => value === undefined)) {
+            throw createError.badRequest('No fields to update');
+        }
+
+        const review = await db.withTransaction(async (client) => {
+            const existing = await findReview(client, req.params.id, req.params.reviewId, true);
+            if (existing.user_id !== req.user.id) {
+                throw createError.forbidden('You can only edit your own review');
+            }
+
+            if (photos) {
+                const unknown = photos.filter(photo => !(existing.photos || []).includes(photo));
+                if (unknown.length > 0) {
+                    throw createError.badRequest('Photos must be uploaded before they can be listed', unknown);
+                }
+            }
+
+            const result = await client.query(`
+        UPDATE reviews SET
+          rating = COALESCE($1, rating),
+          comment = COALESCE($2, comment),
+          tags = COALESCE($3, tags),
+          photos = COALESCE($4, photos),
+          updated_at = NOW()
+        WHERE id = $5
+        RETURNING id, rating, comment, tags, photos, created_at, updated_at
+      `, [rating, comment, tags, photos, req.params.reviewId]);
+
+            if (rating !== undefined && rating !== existing.rating) {
+                await refreshPlaceRating(client, req.params.id);
+            }
+
+            return result.rows[0];
+        });
+
+        res.json({
+            success: true,
+            message: 'Review updated',
+            data: review,
+        });
+    })
+);
+
+/**
+ * POST /api/places/:id/reviews/:reviewId/photos
+ * Add photos to your own review (no extra points; the photo bonus is given at creation)
+ */
+router.post('/:reviewId/photos',
+    authenticate,
+    upload.array('photos', MAX_REVIEW_PHOTOS),
+    [param('reviewId').isUUID()],
+    asyncHandler(async (req, res) => {
+        try {
+            assertValid(req);
+            if (!req.files || req.files.length === 0) {
+                throw createError.badRequest('No photos uploaded');
+            }
+            await assertImageFiles(req.files);
+
+            const added = req.files.map(f => uploadedFileUrl('reviews', f));
+
+            const photos = await db.withTransaction(async (client) => {
+                const existing = await findReview(client, req.params.id, req.params.reviewId, true);
+                if (existing.user_id !== req.user.id) {
+                    throw createError.forbidden('You can only edit your own review');
+                }
+                if ((existing.photos || []).length + added.length > MAX_REVIEW_PHOTOS) {
+                    throw createError.badRequest(`A review can have at most ${MAX_REVIEW_PHOTOS} photos`);
+                }
+
+                const result = await client.query(`
+          UPDATE reviews SET photos = COALESCE(photos, '{}') || $1::text[], updated_at = NOW()
+          WHERE id = $2
+          RETURNING photos
+        `, [added, req.params.reviewId]);
+
+                return result.rows[0].photos;
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Photos uploaded',
+                data: { added, photos },
+            });
+        } catch (error) {
+            await removeUploadedFiles(req.files);
+            throw error;
+        }
+    })
+);
+
+/**
+ * DELETE /api/places/:id/reviews/:reviewId
+ * Delete your own review (admins can delete any review)
+ */
+router.delete('/:reviewId',
+    authenticate,
+    [param('reviewId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        await db.withTransaction(async (client) => {
+            const existing = await findReview(client, req.params.id, req.params.reviewId, true);
+            if (existing.user_id !== req.user.id && req.user.role !== 'admin') {
+                throw createError.forbidden('You can only delete your own review');
+            }
+
+            await client.query('DELETE FROM reviews WHERE id = $1', [req.params.reviewId]);
+            await refreshPlaceRating(client, req.params.id);
+
+            // Posting and deleting reviews must not farm points
+            await reversePoints(client, {
+                action: 'review',
+                referenceType: 'review',
+                referenceId: req.params.reviewId,
+                description: 'Review deleted',
+            });
+        });
+
+        res.json({ success: true, message: 'Review deleted' });
+    })
+);
+
+/**
+ * POST /api/places/:id/reviews/:reviewId/vote
+ * Mark a review as helpful (once per user) or take the vote back
+ */
+router.post('/:reviewId/vote',
+    authenticate,
+    [
+        param('reviewId').isUUID(),
+        body('isHelpful').isBoolean(),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const isHelpful = req.body.isHelpful === true || req.body.isHelpful === 'true';
+
+        const helpfulCount = await db.withTransaction(async (client) => {
+            const review = await findReview(client, req.params.id, req.params.reviewId, true);
+            if (review.user_id === req.user.id) {
+                throw createError.badRequest('You cannot vote on your own review');
+            }
+
+            if (isHelpful) {
+                await client.query(`
+          INSERT INTO review_votes (review_id, user_id)
+          VALUES ($1, $2)
+          ON CONFLICT (review_id, user_id) DO NOTHING
+        `, [req.params.reviewId, req.user.id]);
+            } else {
+                await client.query(
+                    'DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2',
+                    [req.params.reviewId, req.user.id]
+                );
+            }
+
+            const result = await client.query(`
+        UPDATE reviews SET helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = $1)
+        WHERE id = $1
+        RETURNING helpful_count
+      `, [req.params.reviewId]);
+
+            return result.rows[0].helpful_count;
+        });
+
+        res.json({
+            success: true,
+            data: { hasVoted: isHelpful, helpfulCount },
+        });
+    })
+);
+
+/**
+ * POST /api/places/:id/reviews/:reviewId/report
+ * Report an abusive review to the moderation queue
+ */
+router.post('/:reviewId/report',
+    authenticate,
+    [
+        param('reviewId').isUUID(),
+        body('reason').isIn(REPORT_REASONS),
+        body('details').optional().trim().isLength({ max: 500 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        const review = await findReview(db, req.params.id, req.params.reviewId);
+        if (review.user_id === req.user.id) {
+            throw createError.badRequest('You cannot report your own review');
+        }
+
+        const result = await db.query(`
+      INSERT INTO review_reports (review_id, reporter_id, reason, details)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (review_id, reporter_id) DO NOTHING
+      RETURNING id
+    `, [req.params.reviewId, req.user.id, req.body.reason, req.body.details]);
+
+        if (result.rows.length === 0) {
+            throw createError.conflict('You have already reported this review');
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Thanks, our moderators will look into it',
+            data: { id: result.rows[0].id, status: 'pending' },
+        });
+    })
+);
+
+/**
+ * PUT /api/places/:id/reviews/:reviewId/reply
+ * Post or edit the owner's public reply (one per review)
+ */
+router.put('/:reviewId/reply',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
+    [
+        param('reviewId').isUUID(),
+        body('body').trim().notEmpty().isLength({ max: 1000 }),
+    ],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        await findReview(db, req.params.id, req.params.reviewId);
+
+        const result = await db.query(`
+      INSERT INTO review_replies (review_id, user_id, body)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (review_id) DO UPDATE SET body = EXCLUDED.body, user_id = EXCLUDED.user_id, updated_at = NOW()
+      RETURNING body, created_at, updated_at
+    `, [req.params.reviewId, req.user.id, req.body.body]);
+
+        const reply = result.rows[0];
+
+        res.json({
+            success: true,
+            message: 'Reply saved',
+            data: {
+                body: reply.body,
+                createdAt: reply.created_at,
+                updatedAt: reply.updated_at,
+            },
+        });
+    })
+);
+
+/**
+ * DELETE /api/places/:id/reviews/:reviewId/reply
+ * Remove the owner's reply
+ */
+router.delete('/:reviewId/reply',
+    authenticate,
+    authorize('restaurant', 'doctor', 'vet', 'admin'),
+    isPlaceOwner(),
+    [param('reviewId').isUUID()],
+    asyncHandler(async (req, res) => {
+        assertValid(req);
+
+        await findReview(db, req.params.id, req.params.reviewId);
+        await db.query('DELETE FROM review_replies WHERE review_id = $1', [req.params.reviewId]);
+
+        res.json({ success: true, message: 'Reply deleted' });
+    })
+);
+
+module.exports = router;
@@ -2,40 +2,52 @@
 // Ambassador (Sub) place submissions
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
+const { body, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { authenticate, isSub } = require('../middleware/auth');
+const { imageUpload, uploadedFileUrl, assertImageFiles, removeUploadedFiles } = require('../middleware/upload');
+const { findPossibleDuplicates } = require('../services/duplicates');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: 'uploads/places/',
-    filename: (req, file, cb) => {
-        const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
-    },
-});
-
-const upload = multer({
-    storage,
-    limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        if (extname && mimetype) return cb(null, true);
-        cb(new Error('Only images allowed'));
-    },
-});
+// Photos stay here until the submission is approved and they move to uploads/places/
+const upload = imageUpload('submissions');
+
+/**
+ * GET /api/subs/check-duplicates
+ * Look for existing places or pending submissions matching a place before submitting it
+ */
+router.get('/check-duplicates',
+    authenticate,
+    isSub,
+    [
+        query('name').trim().notEmpty(),
+        query('latitude').isFloat({ min: -90, max: 90 }),
+        query('longitude').isFloat({ min: -180, max: 180 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { name, latitude, longitude } = req.query;
+        const duplicates = await findPossibleDuplicates(db, { name, latitude, longitude });
+
+        res.json({
+            success: true,
+            data: duplicates,
+        });
+    })
+);
 
 /**
  * POST /api/subs/add-place
  * Submit a new place for review
+ * Answers 409 with the matches when it looks like a duplicate; resubmit with
+ * confirmNotDuplicate=true to send it anyway (it is then flagged for moderators)
  */
 router.post('/add-place',
     authenticate,
@@ -49,29 +61,48 @@ router.post('/add-place',
         body('longitude').isFloat({ min: -180, max: 180 }),
         body('phone').optional().isMobilePhone('ar-MA'),
         body('description').optional().trim().isLength({ max: 500 }),
+        body('confirmNotDuplicate').optional().isBoolean(),
     ],
     asyncHandler(async (req, res) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            throw createError.badRequest('Validation failed', errors.array());
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw createError.badRequest('Validation failed', errors.array());
+            }
+            await assertImageFiles(req.files);
+
+            const { name, category, address, latitude, longitude, phone, description } = req.body;
+            const confirmed = String(req.body.confirmNotDuplicate) === 'true';
+
+            const duplicates = await findPossibleDuplicates(db, { name, latitude, longitude });
+            if (!confirmed && duplicates.some(match => match.level === 'likely')) {
+                throw createError.conflict('This place may already be listed', { duplicates });
+            }
+
+            const photos = req.files ? req.files.map(f => uploadedFileUrl('submissions', f)) : [];
+
+            // Create submission
+            const submissionId = uuidv4();
+            await db.query(`
+        INSERT INTO place_submissions
+        (id, sub_id, name, category, address, location, phone, description, photos, status,
+         possible_duplicates, is_flagged_duplicate)
+        VALUES ($1, $2, $3, $4, $5, ST_SetSRID(ST_MakePoint($6, $7), 4326), $8, $9, $10, 'pending', $11, $12)
+      `, [
+                submissionId, req.user.id, name, category, address, longitude, latitude, phone, description, photos,
+                JSON.stringify(duplicates), duplicates.length > 0,
+            ]);
+
+            res.status(201).json({
+                success: true,
+                message: 'Place submitted for review. You will earn 10 points once approved!',
+                data: { id: submissionId, status: 'pending', isFlaggedDuplicate: duplicates.length > 0 },
+            });
+        } catch (error) {
+            // Photos were stored before the submission was checked
+            await removeUploadedFiles(req.files);
+            throw error;
         }
-
-        const { name, category, address, latitude, longitude, phone, description } = req.body;
-        const photos = req.files ? req.files.map(f => `/uploads/places/${f.filename}`) : [];
-
-        // Create submission
-        const submissionId = uuidv4();
-        await db.query(`
-      INSERT INTO place_submissions 
-      (id, sub_id, name, category, address, location, phone, description, photos, status)
-      VALUES ($1, $2, $3, $4, $5, ST_SetSRID(ST_MakePoint($6, $7), 4326), $8, $9, $10, 'pending')
-    `, [submissionId, req.user.id, name, category, address, longitude, latitude, phone, description, photos]);
-
-        res.status(201).json({
-            success: true,
-            message: 'Place submitted for review. You will earn 10 points once approved!',
-            data: { id: submissionId, status: 'pending' },
-        });
     })
 );
 
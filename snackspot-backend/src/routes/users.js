@@ -2,10 +2,11 @@
 // User profile and gamification
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { authenticate } = require('../middleware/auth');
+const { LEADERBOARD_PERIODS, getBoard, rankOf } = require('../services/leaderboards');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ const router = express.Router();
  */
 router.get('/profile', authenticate, asyncHandler(async (req, res) => {
     const result = await db.query(`
-    SELECT id, email, full_name, phone, role, points, avatar_url, created_at, last_login
+    SELECT id, email, full_name, phone, city, role, points, avatar_url, created_at, last_login
     FROM users WHERE id = $1
   `, [req.user.id]);
 
@@ -28,6 +29,7 @@ router.get('/profile', authenticate, asyncHandler(async (req, res) => {
             email: user.email,
             fullName: user.full_name,
             phone: user.phone,
+            city: user.city,
             role: user.role,
             points: user.points,
             avatarUrl: user.avatar_url,
@@ -46,6 +48,7 @@ router.put('/profile',
     [
         body('fullName').optional().trim().isLength({ min: 2 }),
         body('phone').optional().isMobilePhone('ar-MA'),
+        body('city').optional().trim().notEmpty().isLength({ max: 100 }),
     ],
     asyncHandler(async (req, res) => {
         const errors = validationResult(req);
@@ -53,7 +56,7 @@ router.put('/profile',
             throw createError.badRequest('Validation failed', errors.array());
         }
 
-        const { fullName, phone } = req.body;
+        const { fullName, phone, city } = req.body;
         const updates = [];
         const values = [];
         let paramIndex = 1;
@@ -66,6 +69,10 @@ router.put('/profile',
             updates.push(`phone = $${paramIndex++}`);
             values.push(phone);
         }
+        if (city) {
+            updates.push(`city = $${paramIndex++}`);
+            values.push(city);
+        }
 
         if (updates.length === 0) {
             throw createError.badRequest('No fields to update');
@@ -75,7 +82,7 @@ router.put('/profile',
         const result = await db.query(`
       UPDATE users SET ${updates.join(', ')}, updated_at = NOW()
       WHERE id = $${paramIndex}
-      RETURNING id, email, full_name, phone, role, points
+      RETURNING id, email, full_name, phone, city, role, points
     `, values);
 
         res.json({
@@ -92,7 +99,7 @@ router.put('/profile',
  */
 router.get('/points-history', authenticate, asyncHandler(async (req, res) => {
     const result = await db.query(`
-    SELECT id, points, action, description, created_at
+    SELECT id, points, action, description, reference_type, reference_id, created_at
     FROM points_history
     WHERE user_id = $1
     ORDER BY created_at DESC
@@ -124,32 +131,81 @@ router.get('/badges', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * Validators shared by the leaderboard and the rank lookup
+ * `city` matches the city users set on their profile; `role` narrows to e.g. ambassadors (sub)
+ */
+const leaderboardValidators = [
+    query('period').optional().isIn(LEADERBOARD_PERIODS),
+    query('city').optional().trim().notEmpty().isLength({ max: 100 }),
+    query('role').optional().isIn(['user', 'restaurant', 'doctor', 'vet', 'sub', 'moderator', 'admin']),
+];
+
+/**
+ * Describe the board a response comes from
+ * @param {Object} req - Express request
+ * @param {Object} board - Result of getBoard
+ * @returns {Object} Meta payload
+ */
+const boardMeta = (req, board) => ({
+    period: req.query.period || 'all',
+    city: req.query.city || null,
+    role: req.query.role || null,
+    since: board.since,
+    computedAt: board.computedAt,
+    total: board.rows.length,
+});
+
 /**
  * GET /api/users/leaderboard
- * Get top users by points
+ * Top users by points earned this week, this month or all time (default)
+ * Boards are cached for LEADERBOARD_CACHE_SECONDS
  */
-router.get('/leaderboard', asyncHandler(async (req, res) => {
-    const { limit = 10 } = req.query;
+router.get('/leaderboard',
+    [
+        ...leaderboardValidators,
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+    ],
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
 
-    const result = await db.query(`
-    SELECT id, full_name, points, role,
-      RANK() OVER (ORDER BY points DESC) as rank
-    FROM users
-    WHERE points > 0
-    ORDER BY points DESC
-    LIMIT $1
-  `, [Math.min(parseInt(limit), 100)]);
+        const { period, city, role, limit = 10 } = req.query;
+        const board = await getBoard({ period, city, role });
 
-    res.json({
-        success: true,
-        data: result.rows.map(u => ({
-            id: u.id,
-            name: u.full_name,
-            points: u.points,
-            role: u.role,
-            rank: parseInt(u.rank),
-        })),
-    });
-}));
+        res.json({
+            success: true,
+            data: board.rows.slice(0, parseInt(limit)),
+            meta: boardMeta(req, board),
+        });
+    })
+);
+
+/**
+ * GET /api/users/leaderboard/me
+ * Own rank on a board, wherever it is
+ */
+router.get('/leaderboard/me',
+    authenticate,
+    leaderboardValidators,
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw createError.badRequest('Validation failed', errors.array());
+        }
+
+        const { period, city, role } = req.query;
+        const board = await getBoard({ period, city, role });
+        const { rank, points } = rankOf(board, req.user.id);
+
+        res.json({
+            success: true,
+            data: { rank, points },
+            meta: boardMeta(req, board),
+        });
+    })
+);
 
 module.exports = router;
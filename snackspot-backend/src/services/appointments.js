@@ -0,0 +1,74 @@
+// TAGHRA - Appointments
+// Slot booking and cancellation, run inside the caller's transaction so a slot is never given twice
+
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Claim a free slot and create the appointment
+ * The slot is claimed with a conditional update: a concurrent booking waits on the row lock,
+ * then sees the slot taken. The unique slot index on appointments backs this up.
+ * @param {Object} client - Transaction client
+ * @param {Object} booking - { userId, doctorId, date, timeSlot, reason, fee }
+ * @returns {Promise<string>} Appointment ID
+ */
+const bookSlot = async (client, { userId, doctorId, date, timeSlot, reason = null, fee }) => {
+    const slot = await client.query(`
+    UPDATE doctor_availability SET is_booked = true
+    WHERE doctor_id = $1 AND date = $2 AND time_slot = $3 AND is_booked = false
+    RETURNING id
+  `, [doctorId, date, timeSlot]);
+
+    if (slot.rows.length === 0) {
+        throw createError.conflict('Time slot not available');
+    }
+
+    const appointmentId = uuidv4();
+    try {
+        // appointment_date/appointment_time are the original columns, date/time_slot match the slot
+        await client.query(`
+      INSERT INTO appointments
+      (id, user_id, doctor_id, place_id, date, time_slot, appointment_date, appointment_time, reason, fee, status)
+      VALUES ($1, $2, $3, $3, $4, $5, $4, $6, $7, $8, 'confirmed')
+    `, [appointmentId, userId, doctorId, date, timeSlot, timeSlot, reason, fee]);
+    } catch (error) {
+        if (error.code === '23505') {
+            throw createError.conflict('Time slot not available');
+        }
+        throw error;
+    }
+
+    return appointmentId;
+};
+
+/**
+ * Cancel a confirmed appointment of a user and free its slot
+ * @param {Object} client - Transaction client
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} options - { userId, reason }
+ * @returns {Promise<Object>} Cancelled appointment { doctor_id, date, time_slot }
+ */
+const cancelAppointment = async (client, appointmentId, { userId, reason = null }) => {
+    const result = await client.query(`
+    UPDATE appointments SET status = 'cancelled', cancellation_reason = $1
+    WHERE id = $2 AND user_id = $3 AND status = 'confirmed'
+    RETURNING doctor_id, date, time_slot
+  `, [reason, appointmentId, userId]);
+
+    if (result.rows.length === 0) {
+        throw createError.badRequest('Appointment cannot be cancelled');
+    }
+
+    const apt = result.rows[0];
+    await client.query(`
+    UPDATE doctor_availability SET is_booked = false
+    WHERE doctor_id = $1 AND date = $2 AND time_slot = $3
+  `, [apt.doctor_id, apt.date, apt.time_slot]);
+
+    return apt;
+};
+
+module.exports = {
+    bookSlot,
+    cancelAppointment,
+};
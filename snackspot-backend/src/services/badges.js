@@ -0,0 +1,171 @@
+// TAGHRA - Badges
+// Rules engine: each badge row holds declarative criteria ({ metric, count, ...options }) checked after the
+// events that can move that metric; badges are awarded once and never taken back
+
+const db = require('../config/database');
+const { notifyUser } = require('./notifications');
+
+// Events reported by the routes once their transaction has committed
+const BADGE_EVENTS = ['review', 'order', 'appointment', 'submission', 'place_edit'];
+
+// Dated activity a streak can be built from
+const STREAK_ACTIVITIES = {
+    reviews: 'SELECT created_at FROM reviews WHERE user_id = $1',
+    orders: 'SELECT created_at FROM orders WHERE user_id = $1 AND status = \'delivered\'',
+    points: 'SELECT created_at FROM points_history WHERE user_id = $1 AND points > 0 AND action <> \'opening_balance\'',
+};
+
+const STREAK_PERIODS = { day: '1 day', week: '1 week' };
+
+/**
+ * Run a COUNT-style query and return its single number
+ * @param {Object} executor - db module or a transaction client
+ * @param {string} sql - Query selecting one `value` column
+ * @param {Array} params - Query parameters
+ * @returns {Promise<number>} Value
+ */
+const scalar = async (executor, sql, params) => {
+    const result = await executor.query(sql, params);
+    return parseInt(result.rows[0]?.value) || 0;
+};
+
+/**
+ * Metrics badge criteria can use: the events that move them and how to measure them for a user
+ */
+const METRICS = {
+    // { metric: 'reviews', count: 10 }
+    reviews: {
+        events: ['review'],
+        measure: (executor, userId) => scalar(executor,
+            'SELECT COUNT(*) as value FROM reviews WHERE user_id = $1', [userId]),
+    },
+    // { metric: 'orders', count: 1 } - delivered orders
+    orders: {
+        events: ['order'],
+        measure: (executor, userId) => scalar(executor,
+            'SELECT COUNT(*) as value FROM orders WHERE user_id = $1 AND status = \'delivered\'', [userId]),
+    },
+    // { metric: 'approved_submissions', count: 5 }
+    approved_submissions: {
+        events: ['submission'],
+        measure: (executor, userId) => scalar(executor,
+            'SELECT COUNT(*) as value FROM place_submissions WHERE sub_id = $1 AND status = \'approved\'', [userId]),
+    },
+    // { metric: 'cities_visited', count: 3 } - cities of reviewed places, delivered orders and completed appointments
+    cities_visited: {
+        events: ['review', 'order', 'appointment'],
+        measure: (executor, userId) => scalar(executor, `
+      SELECT COUNT(DISTINCT LOWER(p.city)) as value
+      FROM places p
+      WHERE p.city IS NOT NULL AND p.id IN (
+        SELECT place_id FROM reviews WHERE user_id = $1
+        UNION SELECT place_id FROM orders WHERE user_id = $1 AND status = 'delivered'
+        UNION SELECT doctor_id FROM appointments WHERE user_id = $1 AND status = 'completed'
+      )
+    `, [userId]),
+    },
+    // { metric: 'points', count: 500 }
+    points: {
+        events: BADGE_EVENTS,
+        measure: (executor, userId) => scalar(executor,
+            'SELECT COALESCE(points, 0) as value FROM users WHERE id = $1', [userId]),
+    },
+    // { metric: 'streak', activity: 'reviews'|'orders'|'points', period: 'day'|'week', count: 4 }
+    // Longest run of consecutive periods with at least one activity
+    streak: {
+        events: BADGE_EVENTS,
+        measure: (executor, userId, { activity = 'points', period = 'week' }) => {
+            if (!STREAK_ACTIVITIES[activity] || !STREAK_PERIODS[period]) {
+                throw new Error(`Unknown streak ${activity}/${period}`);
+            }
+            return scalar(executor, `
+        WITH periods AS (
+          SELECT DISTINCT date_trunc('${period}', created_at) as period
+          FROM (${STREAK_ACTIVITIES[activity]}) activity
+        ), runs AS (
+          SELECT period - ROW_NUMBER() OVER (ORDER BY period) * INTERVAL '${STREAK_PERIODS[period]}' as run
+          FROM periods
+        )
+        SELECT COALESCE(MAX(length), 0) as value
+        FROM (SELECT COUNT(*) as length FROM runs GROUP BY run) r
+      `, [userId]);
+        },
+    },
+};
+
+/**
+ * Award every badge a user now qualifies for
+ * @param {string} userId - User ID
+ * @param {Object} options - { event (only badges that event can unlock; all when omitted), notify }
+ * @returns {Promise<Array>} Badges awarded now
+ */
+const evaluateBadges = async (userId, { event = null, notify = true } = {}) => {
+    const candidates = await db.query(`
+    SELECT b.* FROM badges b
+    WHERE NOT EXISTS (SELECT 1 FROM user_badges ub WHERE ub.badge_id = b.id AND ub.user_id = $1)
+  `, [userId]);
+
+    // Badges sharing a metric and its options measure it once
+    const measured = new Map();
+    const awarded = [];
+
+    for (const badge of candidates.rows) {
+        const { metric, count, ...options } = badge.criteria || {};
+        const rule = METRICS[metric];
+        if (!rule) {
+            console.warn(`Badge ${badge.code} has an unknown metric: ${metric}`);
+            continue;
+        }
+        if (event && !rule.events.includes(event)) continue;
+
+        const key = JSON.stringify([metric, options]);
+        if (!measured.has(key)) {
+            measured.set(key, await rule.measure(db, userId, options));
+        }
+        if (measured.get(key) < count) continue;
+
+        const inserted = await db.query(`
+      INSERT INTO user_badges (user_id, badge_id) VALUES ($1, $2)
+      ON CONFLICT (user_id, badge_id) DO NOTHING
+      RETURNING earned_at
+    `, [userId, badge.id]);
+        if (inserted.rows.length === 0) continue;
+
+        awarded.push(badge);
+        if (notify) {
+            await notifyUser(userId, {
+                title: `New badge: ${badge.name} ${badge.icon || ''}`.trim(),
+                body: badge.description,
+                type: 'badge_earned',
+                data: { badgeId: badge.id, code: badge.code },
+            });
+        }
+    }
+
+    return awarded;
+};
+
+/**
+ * Check badges after an event (call once its transaction has committed)
+ * The action already succeeded, so failures are logged, not thrown
+ * @param {string} userId - User who acted
+ * @param {string} event - One of BADGE_EVENTS
+ * @returns {Promise<Array>} Badges awarded now
+ */
+const checkBadges = async (userId, event) => {
+    if (!userId) return [];
+
+    try {
+        return await evaluateBadges(userId, { event });
+    } catch (error) {
+        console.error(`Badge check failed for ${userId}:`, error.message);
+        return [];
+    }
+};
+
+module.exports = {
+    BADGE_EVENTS,
+    METRICS,
+    evaluateBadges,
+    checkBadges,
+};
@@ -0,0 +1,128 @@
+// TAGHRA - Business Claims
+// Verification codes sent to a place's listed phone when a business claims it
+
+const crypto = require('crypto');
+const { sendSms } = require('../config/sms');
+const { createError } = require('../middleware/errorHandler');
+
+// Owner role required to claim each category (administrations cannot be claimed)
+const CLAIM_ROLES = {
+    food: 'restaurant',
+    health: 'doctor',
+    vet: 'vet',
+};
+
+const CODE_TTL_MINUTES = 10;
+const CODE_MAX_ATTEMPTS = 5;
+const CODE_RESEND_SECONDS = 60;
+
+/**
+ * Hash a verification code; the claim ID salts it so equal codes never share a hash
+ * @param {string} claimId - Claim ID
+ * @param {string} code - 6-digit code
+ * @returns {string} Hex digest
+ */
+const hashCode = (claimId, code) => crypto.createHash('sha256').update(`${claimId}:${code}`).digest('hex');
+
+/**
+ * Hide all but the last digits of a phone number
+ * @param {string} phone - Phone number
+ * @returns {string} e.g. "+2126•••••45"
+ */
+const maskPhone = (phone) => (phone ? `${phone.slice(0, 5)}${'•'.repeat(Math.max(phone.length - 7, 0))}${phone.slice(-2)}` : null);
+
+/**
+ * Generate a new code for a claim, store its hash and text it to the place's phone
+ * Resending is throttled to one code per CODE_RESEND_SECONDS
+ * @param {Object} executor - db module or a transaction client
+ * @param {Object} claim - place_claims row (id, code_sent_at)
+ * @param {string} phone - Phone listed on the place
+ * @param {string} placeName - Place name, included in the message
+ * @returns {Promise<Object>} { sentTo, expiresAt }
+ */
+const sendClaimCode = async (executor, claim, phone, placeName) => {
+    if (claim.code_sent_at && Date.now() - new Date(claim.code_sent_at).getTime() < CODE_RESEND_SECONDS * 1000) {
+        throw createError.tooManyRequests(`Wait ${CODE_RESEND_SECONDS} seconds before requesting a new code`);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    const result = await executor.query(`
+    UPDATE place_claims
+    SET code_hash = $1, code_sent_at = NOW(), code_expires_at = NOW() + make_interval(mins => $2), code_attempts = 0
+    WHERE id = $3
+    RETURNING code_expires_at
+  `, [hashCode(claim.id, code), CODE_TTL_MINUTES, claim.id]);
+
+    try {
+        await sendSms(phone, `TAGHRA: ${code} is the code to claim ${placeName}. It expires in ${CODE_TTL_MINUTES} minutes.`);
+    } catch (error) {
+        console.error('SMS delivery failed:', error.message);
+        throw createError.internal('Could not send the verification code');
+    }
+
+    return { sentTo: maskPhone(phone), expiresAt: result.rows[0].code_expires_at };
+};
+
+/**
+ * Check a code against a locked claim and record the attempt
+ * @param {Object} client - Transaction client
+ * @param {Object} claim - place_claims row locked FOR UPDATE
+ * @param {string} code - Code entered by the claimant
+ * @returns {Promise<boolean>} Whether the code matched (the claim is then phone-verified)
+ */
+const checkClaimCode = async (client, claim, code) => {
+    if (!claim.code_hash || new Date(claim.code_expires_at) < new Date()) {
+        throw createError.badRequest('The code has expired, request a new one');
+    }
+    if (claim.code_attempts >= CODE_MAX_ATTEMPTS) {
+        throw createError.tooManyRequests('Too many attempts, request a new code');
+    }
+
+    const expected = Buffer.from(claim.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(claim.id, code), 'hex');
+    const matches = crypto.timingSafeEqual(expected, actual);
+
+    if (matches) {
+        await client.query(`
+      UPDATE place_claims SET phone_verified_at = NOW(), code_hash = NULL, code_expires_at = NULL
+      WHERE id = $1
+    `, [claim.id]);
+    } else {
+        await client.query('UPDATE place_claims SET code_attempts = code_attempts + 1 WHERE id = $1', [claim.id]);
+    }
+
+    return matches;
+};
+
+/**
+ * Format a claim row
+ * @param {Object} claim - place_claims row, optionally with place_name, place_phone and user_name
+ * @returns {Object} Claim payload (document files are listed by index, never by path)
+ */
+const formatClaim = (claim) => ({
+    id: claim.id,
+    place: { id: claim.place_id, name: claim.place_name, phone: maskPhone(claim.place_phone) },
+    user: { id: claim.user_id, name: claim.user_name, email: claim.user_email },
+    message: claim.message,
+    documents: (claim.documents || []).map((doc, index) => ({
+        index,
+        name: doc.originalName,
+        mimetype: doc.mimetype,
+        size: doc.size,
+    })),
+    status: claim.status,
+    isPhoneVerified: claim.phone_verified_at !== null,
+    phoneVerifiedAt: claim.phone_verified_at,
+    rejectionReason: claim.rejection_reason,
+    reviewedAt: claim.reviewed_at,
+    createdAt: claim.created_at,
+});
+
+module.exports = {
+    CLAIM_ROLES,
+    maskPhone,
+    sendClaimCode,
+    checkClaimCode,
+    formatClaim,
+};
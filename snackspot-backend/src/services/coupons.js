@@ -0,0 +1,187 @@
+// TAGHRA - Coupons
+// Promo code lookup, eligibility rules, discount computation and redemptions
+
+const { createError } = require('../middleware/errorHandler');
+const { PRICING, roundMoney } = require('../utils/pricing');
+
+/**
+ * Codes are stored and compared upper-case
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Normalized code
+ */
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Format a coupon row for API responses
+ * @param {Object} c - coupons row
+ * @returns {Object} Coupon payload
+ */
+const formatCoupon = (c) => ({
+    id: c.id,
+    code: c.code,
+    description: c.description,
+    discountType: c.discount_type,
+    discountValue: parseFloat(c.discount_value),
+    maxDiscount: c.max_discount === null ? null : parseFloat(c.max_discount),
+    minSubtotal: parseFloat(c.min_subtotal),
+    usageLimit: c.usage_limit,
+    perUserLimit: c.per_user_limit,
+    timesUsed: c.times_used,
+    placeIds: c.place_ids,
+    categories: c.categories,
+    firstOrderOnly: c.first_order_only,
+    startsAt: c.starts_at,
+    endsAt: c.ends_at,
+    isActive: c.is_active,
+    createdAt: c.created_at,
+});
+
+/**
+ * Load an active coupon by code
+ * Lock it when redeeming so usage limits hold under concurrent orders
+ * @param {Object} executor - db module or a transaction client
+ * @param {string} code - Code as typed by the user
+ * @param {Object} options - { lock }
+ * @returns {Promise<Object>} coupons row
+ */
+const findCoupon = async (executor, code, { lock = false } = {}) => {
+    const result = await executor.query(
+        `SELECT * FROM coupons WHERE code = $1${lock ? ' FOR UPDATE' : ''}`,
+        [normalizeCode(code)]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].is_active) {
+        throw createError.badRequest('This promo code is not valid');
+    }
+    return result.rows[0];
+};
+
+/**
+ * Discount a coupon gives on a subtotal, never more than the subtotal itself
+ * @param {Object} coupon - coupons row
+ * @param {number} subtotal - Order subtotal
+ * @returns {number} Discount
+ */
+const couponDiscount = (coupon, subtotal) => {
+    const value = parseFloat(coupon.discount_value);
+    let discount = coupon.discount_type === 'percent' ? subtotal * value / 100 : value;
+    if (coupon.max_discount !== null) {
+        discount = Math.min(discount, parseFloat(coupon.max_discount));
+    }
+    return roundMoney(Math.min(discount, subtotal));
+};
+
+/**
+ * Subtotal of the lines a coupon applies to
+ * Category restrictions name menu categories ("Pizzas", "Desserts"), matched case-insensitively across places
+ * @param {Object} coupon - coupons row
+ * @param {Array<Object>} lines - [{ category: menu category name, total }]
+ * @param {number} subtotal - Order subtotal
+ * @returns {number} Eligible subtotal
+ */
+const eligibleSubtotal = (coupon, lines, subtotal) => {
+    if (coupon.categories.length === 0) return subtotal;
+
+    const categories = coupon.categories.map(category => category.trim().toLowerCase());
+    return roundMoney(lines
+        .filter(line => line.category && categories.includes(line.category.trim().toLowerCase()))
+        .reduce((sum, line) => sum + line.total, 0));
+};
+
+/**
+ * Check a coupon against an order and compute its discount
+ * @param {Object} executor - db module or a transaction client
+ * @param {Object} coupon - coupons row
+ * @param {Object} order - { userId, place: { id }, subtotal, lines: [{ category, total }] }
+ * @returns {Promise<number>} Discount (on the eligible lines only when the coupon names menu categories)
+ */
+const applyCoupon = async (executor, coupon, { userId, place, subtotal, lines = [] }) => {
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+        throw createError.badRequest('This promo code is not active yet');
+    }
+    if (coupon.ends_at && new Date(coupon.ends_at) < now) {
+        throw createError.badRequest('This promo code has expired');
+    }
+    if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) {
+        throw createError.badRequest('This promo code has been fully redeemed');
+    }
+    if (coupon.place_ids.length > 0 && !coupon.place_ids.includes(place.id)) {
+        throw createError.badRequest('This promo code is not valid at this place');
+    }
+    const eligible = eligibleSubtotal(coupon, lines, subtotal);
+    if (eligible === 0) {
+        throw createError.badRequest('This promo code is not valid for the items in your basket');
+    }
+
+    const minSubtotal = parseFloat(coupon.min_subtotal);
+    if (subtotal < minSubtotal) {
+        throw createError.badRequest(`This promo code requires a basket of at least ${minSubtotal} ${PRICING.currency}`);
+    }
+
+    if (coupon.per_user_limit !== null) {
+        const used = await executor.query(
+            'SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2',
+            [coupon.id, userId]
+        );
+        if (parseInt(used.rows[0].count) >= coupon.per_user_limit) {
+            throw createError.badRequest('You have already used this promo code');
+        }
+    }
+
+    if (coupon.first_order_only) {
+        const previous = await executor.query(
+            'SELECT 1 FROM orders WHERE user_id = $1 AND status <> \'cancelled\' LIMIT 1',
+            [userId]
+        );
+        if (previous.rows.length > 0) {
+            throw createError.badRequest('This promo code is for your first order only');
+        }
+    }
+
+    return couponDiscount(coupon, eligible);
+};
+
+/**
+ * Record that an order used a coupon
+ * @param {Object} client - Transaction client holding the coupon lock
+ * @param {Object} coupon - coupons row
+ * @param {Object} redemption - { userId, orderId, discount }
+ */
+const redeemCoupon = async (client, coupon, { userId, orderId, discount }) => {
+    await client.query(
+        'INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount) VALUES ($1, $2, $3, $4)',
+        [coupon.id, userId, orderId, discount]
+    );
+    await client.query(
+        'UPDATE coupons SET times_used = times_used + 1 WHERE id = $1',
+        [coupon.id]
+    );
+};
+
+/**
+ * Give back the coupon of a cancelled order so it counts against no limit
+ * @param {Object} client - Transaction client
+ * @param {string} orderId - Order ID
+ */
+const releaseCoupon = async (client, orderId) => {
+    const result = await client.query(
+        'DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id',
+        [orderId]
+    );
+    if (result.rows.length === 0) return;
+
+    await client.query(
+        'UPDATE coupons SET times_used = GREATEST(times_used - 1, 0) WHERE id = $1',
+        [result.rows[0].coupon_id]
+    );
+};
+
+module.exports = {
+    normalizeCode,
+    formatCoupon,
+    findCoupon,
+    applyCoupon,
+    redeemCoupon,
+    releaseCoupon,
+};
@@ -0,0 +1,60 @@
+// TAGHRA - Duplicate Detection
+// Finds existing places and pending submissions that a new submission may duplicate
+
+const { nameSimilarity } = require('../utils/search');
+
+// How far apart two entries can be and still be the same place (GPS drift, pin placement)
+const DUPLICATE_RADIUS = 200;
+
+// Name similarity from which a nearby entry is worth showing to moderators
+// e.g. "Snack Amine" / "Snack Imane" (0.52), "Pizza Roma" / "Pizza Rami" (0.59), "Hanout Said" / "Hanout Saad" (0.7)
+const POSSIBLE_DUPLICATE_SIMILARITY = 0.35;
+
+// Name similarity from which the ambassador has to confirm before submitting
+// e.g. "Snack Amine" / "Snak Amin", "Café Yacoub" / "Cafe Yaakoub" and "سناك أمين" / "Snack Amine" (all 1)
+const LIKELY_DUPLICATE_SIMILARITY = 0.75;
+
+/**
+ * Find nearby places and pending submissions with a similar name
+ * @param {Object} executor - db module or a transaction client
+ * @param {Object} candidate - { name, latitude, longitude, excludeSubmissionId }
+ * @returns {Promise<Array<Object>>} [{ type, id, name, address, distance, similarity, level }], most similar first
+ */
+const findPossibleDuplicates = async (executor, { name, latitude, longitude, excludeSubmissionId = null }) => {
+    const result = await executor.query(`
+    SELECT 'place' as type, p.id, p.name, p.category, p.address,
+      ST_Distance(p.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as distance
+    FROM places p
+    WHERE p.archived_at IS NULL
+      AND ST_DWithin(p.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+    UNION ALL
+    SELECT 'submission' as type, s.id, s.name, s.category, s.address,
+      ST_Distance(s.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as distance
+    FROM place_submissions s
+    WHERE s.status = 'pending'
+      AND ($4::uuid IS NULL OR s.id <> $4)
+      AND ST_DWithin(s.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+  `, [longitude, latitude, DUPLICATE_RADIUS, excludeSubmissionId]);
+
+    return result.rows
+        .map(row => {
+            const similarity = Math.round(nameSimilarity(name, row.name) * 100) / 100;
+            return {
+                type: row.type,
+                id: row.id,
+                name: row.name,
+                category: row.category,
+                address: row.address,
+                distance: Math.round(row.distance),
+                similarity,
+                level: similarity >= LIKELY_DUPLICATE_SIMILARITY ? 'likely' : 'possible',
+            };
+        })
+        .filter(match => match.similarity >= POSSIBLE_DUPLICATE_SIMILARITY)
+        .sort((a, b) => b.similarity - a.similarity || a.distance - b.distance);
+};
+
+module.exports = {
+    DUPLICATE_RADIUS,
+    findPossibleDuplicates,
+};
@@ -0,0 +1,118 @@
+// TAGHRA - Leaderboards
+// Rankings of points earned over a period, computed from the points ledger and cached in memory
+
+const db = require('../config/database');
+
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+
+// Spending points must not lower a rank, so redemptions (and their refunds) are left out
+const SPENDING_ACTIONS = ['order_redemption', 'order_redemption_reversal'];
+
+// Points carried over into the ledger, dated at migration time: all-time only, not earned in a week or month
+const OPENING_BALANCE_ACTION = 'opening_balance';
+
+// How long a computed board is served before it is recomputed
+const LEADERBOARD_CACHE_SECONDS = parseInt(process.env.LEADERBOARD_CACHE_SECONDS) || 60;
+
+// Boards kept at once (one per period, city and role asked for); the oldest is dropped first
+const MAX_CACHED_BOARDS = 200;
+
+const cache = new Map();
+
+/**
+ * Rank every user with points in a scope
+ * @param {Object} scope - { period, city, role }
+ * @returns {Promise<Object>} { rows: ranked users, since, computedAt }
+ */
+const computeBoard = async ({ period, city, role }) => {
+    const result = await db.query(`
+    WITH bounds AS (
+      SELECT CASE $1
+        WHEN 'week' THEN date_trunc('week', NOW())
+        WHEN 'month' THEN date_trunc('month', NOW())
+      END as since
+    ), scores AS (
+      SELECT h.user_id, SUM(h.points) as points
+      FROM points_history h
+      JOIN users u ON h.user_id = u.id
+      CROSS JOIN bounds b
+      WHERE h.action <> ALL($2)
+        AND (b.since IS NULL OR (h.created_at >= b.since AND h.action <> $5))
+        AND ($3::text IS NULL OR LOWER(u.city) = LOWER($3))
+        AND ($4::text IS NULL OR u.role = $4)
+      GROUP BY h.user_id
+      HAVING SUM(h.points) > 0
+    )
+    SELECT s.user_id, s.points, u.full_name, u.role, u.city, u.avatar_url,
+      RANK() OVER (ORDER BY s.points DESC) as rank,
+      (SELECT since FROM bounds) as since, NOW() as computed_at
+    FROM scores s
+    JOIN users u ON s.user_id = u.id
+    ORDER BY s.points DESC, u.full_name
+  `, [period, SPENDING_ACTIONS, city, role, OPENING_BALANCE_ACTION]);
+
+    const rows = result.rows.map(r => ({
+        id: r.user_id,
+        name: r.full_name,
+        role: r.role,
+        city: r.city,
+        avatarUrl: r.avatar_url,
+        points: parseInt(r.points),
+        rank: parseInt(r.rank),
+    }));
+
+    return {
+        rows,
+        positions: new Map(rows.map((row, index) => [row.id, index])),
+        since: result.rows[0]?.since || null,
+        computedAt: result.rows[0]?.computed_at || new Date(),
+    };
+};
+
+/**
+ * Board of a scope, from the cache while it is fresh
+ * Concurrent requests for a stale board share one computation
+ * @param {Object} scope - { period, city, role } (city and role optional)
+ * @returns {Promise<Object>} { rows, positions, since, computedAt }
+ */
+const getBoard = async ({ period = 'all', city = null, role = null }) => {
+    const scope = { period, city: city ? city.trim().toLowerCase() : null, role: role || null };
+    const key = JSON.stringify(scope);
+
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.board;
+    }
+
+    const board = computeBoard(scope);
+    cache.delete(key);
+    cache.set(key, { board, expiresAt: Date.now() + LEADERBOARD_CACHE_SECONDS * 1000 });
+    if (cache.size > MAX_CACHED_BOARDS) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    try {
+        return await board;
+    } catch (error) {
+        cache.delete(key);
+        throw error;
+    }
+};
+
+/**
+ * Rank of one user on a board
+ * @param {Object} board - Result of getBoard
+ * @param {string} userId - User ID
+ * @returns {Object} { rank, points } (rank is null without points in the scope)
+ */
+const rankOf = (board, userId) => {
+    const index = board.positions.get(userId);
+    if (index === undefined) return { rank: null, points: 0 };
+    return { rank: board.rows[index].rank, points: board.rows[index].points };
+};
+
+module.exports = {
+    LEADERBOARD_PERIODS,
+    getBoard,
+    rankOf,
+};
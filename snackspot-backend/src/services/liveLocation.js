@@ -0,0 +1,50 @@
+// TAGHRA - Live Location
+// Food trucks and other mobile places pushing their position from the owner's device
+
+const db = require('../config/database');
+const { createError } = require('../middleware/errorHandler');
+const { findOwnedPlace } = require('../middleware/auth');
+
+// Minimum time between two stored positions of the same place
+const LOCATION_UPDATE_INTERVAL_SECONDS = parseInt(process.env.LOCATION_UPDATE_INTERVAL_SECONDS) || 5;
+
+/**
+ * Store a new position for an owned place
+ * Updates arriving sooner than LOCATION_UPDATE_INTERVAL_SECONDS after the last one are refused
+ * @param {Object} user - Authenticated user (id, role)
+ * @param {Object} update - { placeId, latitude, longitude }
+ * @returns {Promise<Object>} { previous: { latitude, longitude }, updatedAt }
+ */
+const updateLiveLocation = async (user, { placeId, latitude, longitude }) => {
+    const place = await findOwnedPlace(user, placeId);
+    if (place.archived_at) {
+        throw createError.badRequest('Archived places cannot be edited');
+    }
+
+    const result = await db.query(`
+    UPDATE places p
+    SET location = ST_SetSRID(ST_MakePoint($2, $3), 4326), location_updated_at = NOW()
+    FROM (
+      SELECT id, ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+      FROM places WHERE id = $1
+      FOR UPDATE
+    ) previous
+    WHERE p.id = previous.id
+      AND (p.location_updated_at IS NULL OR p.location_updated_at <= NOW() - make_interval(secs => $4))
+    RETURNING previous.latitude, previous.longitude, p.location_updated_at
+  `, [placeId, longitude, latitude, LOCATION_UPDATE_INTERVAL_SECONDS]);
+
+    if (result.rows.length === 0) {
+        throw createError.tooManyRequests(`Send at most one position every ${LOCATION_UPDATE_INTERVAL_SECONDS} seconds`);
+    }
+
+    const row = result.rows[0];
+    return {
+        previous: { latitude: row.latitude, longitude: row.longitude },
+        updatedAt: row.location_updated_at,
+    };
+};
+
+module.exports = {
+    updateLiveLocation,
+};
@@ -0,0 +1,33 @@
+// TAGHRA - User Notifications
+// In-app notification rows plus a best-effort push to the user's devices
+
+const db = require('../config/database');
+const { sendMulticastNotification } = require('../config/firebase');
+
+/**
+ * Notify a user: store the in-app notification, then push it to registered devices
+ * Call after the related transaction has committed; push failures are logged, not thrown
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { title, body, type, data }
+ * @returns {Promise<Object>} Stored notification row
+ */
+const notifyUser = async (userId, { title, body, type, data = {} }) => {
+    const result = await db.query(`
+    INSERT INTO notifications (user_id, title, body, type, data)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id, title, body, type, data, is_read, created_at
+  `, [userId, title, body, type, JSON.stringify(data)]);
+
+    try {
+        const tokens = await db.query('SELECT token FROM device_tokens WHERE user_id = $1', [userId]);
+        await sendMulticastNotification(tokens.rows.map(t => t.token), title, body, { type, ...data });
+    } catch (error) {
+        console.error('Push notification failed:', error.message);
+    }
+
+    return result.rows[0];
+};
+
+module.exports = {
+    notifyUser,
+};
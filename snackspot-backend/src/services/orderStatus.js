@@ -0,0 +1,130 @@
+// TAGHRA - Order Status
+// Allowed order transitions, their audit trail and the customer updates they trigger
+
+const { createError } = require('../middleware/errorHandler');
+const { notifyUser } = require('./notifications');
+const { releaseCoupon } = require('./coupons');
+const { reverseOrderPoints } = require('./points');
+
+// Statuses each status may move to (delivered and cancelled are final)
+// ready → delivered covers orders picked up at the counter
+const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready'],
+    ready: ['delivering', 'delivered'],
+    delivering: ['delivered'],
+    delivered: [],
+    cancelled: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Notification sent to the customer when their order reaches a status
+const STATUS_MESSAGES = {
+    confirmed: { title: 'Order confirmed', body: (place) => `${place} accepted your order.` },
+    preparing: { title: 'Order in the kitchen', body: (place) => `${place} is preparing your order.` },
+    ready: { title: 'Order ready', body: (place) => `Your order from ${place} is ready.` },
+    delivering: { title: 'Order on its way 🛵', body: (place) => `Your order from ${place} is on its way.` },
+    delivered: { title: 'Order delivered', body: (place) => `Enjoy your meal from ${place}!` },
+    cancelled: { title: 'Order cancelled', body: (place, note) => `${place} cancelled your order${note ? `: ${note}` : '.'}` },
+};
+
+/**
+ * Load an order of a place the user owns and lock it
+ * @param {Object} client - Transaction client
+ * @param {string} orderId - Order ID
+ * @param {Object} user - req.user (admins may handle any order)
+ * @returns {Promise<Object>} Order row with place_name
+ */
+const lockOwnedOrder = async (client, orderId, user) => {
+    const result = await client.query(`
+    SELECT o.*, p.name as place_name, p.owner_id
+    FROM orders o
+    JOIN places p ON o.place_id = p.id
+    WHERE o.id = $1
+    FOR UPDATE OF o
+  `, [orderId]);
+
+    if (result.rows.length === 0) {
+        throw createError.notFound('Order not found');
+    }
+    if (user.role !== 'admin' && result.rows[0].owner_id !== user.id) {
+        throw createError.forbidden('You do not own this place');
+    }
+    return result.rows[0];
+};
+
+/**
+ * Move a locked order to a new status and log who did it
+ * Cancelling gives back the coupon and the points the order used, and takes back the points it earned
+ * @param {Object} client - Transaction client
+ * @param {Object} order - Order row locked FOR UPDATE
+ * @param {string} status - Target status
+ * @param {Object} actor - { userId, role, note }
+ * @returns {Promise<Object>} { id, status, updatedAt }
+ */
+const transitionOrder = async (client, order, status, { userId, role, note = null }) => {
+    if (!(ORDER_TRANSITIONS[order.status] || []).includes(status)) {
+        throw createError.conflict(`Order cannot go from ${order.status} to ${status}`, {
+            status: order.status,
+            allowed: ORDER_TRANSITIONS[order.status] || [],
+        });
+    }
+
+    const result = await client.query(`
+    UPDATE orders SET
+      status = $1,
+      cancellation_reason = CASE WHEN $1 = 'cancelled' THEN $2 ELSE cancellation_reason END,
+      actual_delivery_time = CASE WHEN $1 = 'delivered' THEN NOW() ELSE actual_delivery_time END,
+      updated_at = NOW()
+    WHERE id = $3
+    RETURNING id, status, updated_at
+  `, [status, note, order.id]);
+
+    await client.query(`
+    INSERT INTO order_status_events (order_id, from_status, to_status, actor_id, actor_role, note)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [order.id, order.status, status, userId, role, note]);
+
+    if (status === 'cancelled') {
+        if (order.coupon_id) await releaseCoupon(client, order.id);
+        await reverseOrderPoints(client, order);
+    }
+
+    const updated = result.rows[0];
+    return { id: updated.id, status: updated.status, updatedAt: updated.updated_at };
+};
+
+/**
+ * Tell the customer and the place's dashboards about a status change (after the transaction has committed)
+ * @param {Object} io - Socket.io server
+ * @param {Object} order - Order row with user_id and place_name
+ * @param {Object} update - { status, updatedAt, note }
+ */
+const announceOrderStatus = async (io, order, { status, updatedAt, note = null }) => {
+    const event = { orderId: order.id, status, timestamp: updatedAt };
+
+    // Other dashboards of the place stay in sync
+    io.to(`place:${order.place_id}`).emit('order:updated', event);
+
+    if (!order.user_id) return;
+
+    io.to(`user:${order.user_id}`).emit('order:updated', event);
+
+    const message = STATUS_MESSAGES[status];
+    await notifyUser(order.user_id, {
+        title: message.title,
+        body: message.body(order.place_name, note),
+        type: 'order_status',
+        data: { orderId: order.id, status },
+    });
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    ORDER_STATUSES,
+    lockOwnedOrder,
+    transitionOrder,
+    announceOrderStatus,
+};
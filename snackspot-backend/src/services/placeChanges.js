@@ -0,0 +1,59 @@
+// TAGHRA - Place Change Log
+// Audit trail for every write made to a place listing
+
+/**
+ * JSON text of a value with object keys sorted, so key order does not count as a change
+ * (Postgres returns jsonb keys in its own order)
+ * @param {*} value - Column value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJSON = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Compute a field-level diff between a stored row and the incoming values
+ * @param {Object} before - Current row (snake_case columns)
+ * @param {Object} after - New values keyed by the same columns
+ * @returns {Object} { column: { from, to } } for columns whose value changed
+ */
+const diffPlace = (before, after) => {
+    const changes = {};
+
+    Object.entries(after).forEach(([column, value]) => {
+        const previous = before[column] === undefined ? null : before[column];
+        if (canonicalJSON(previous) !== canonicalJSON(value)) {
+            changes[column] = { from: previous, to: value };
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Record a change to a place
+ * @param {Object} executor - db module or a transaction client (anything with query())
+ * @param {Object} change - { placeId, userId, action, changes }
+ * @returns {Promise<Object>} Inserted change row
+ */
+const recordPlaceChange = async (executor, { placeId, userId, action, changes = {} }) => {
+    const result = await executor.query(`
+    INSERT INTO place_changes (place_id, user_id, action, changes)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, action, created_at
+  `, [placeId, userId, action, JSON.stringify(changes)]);
+
+    return result.rows[0];
+};
+
+module.exports = {
+    diffPlace,
+    recordPlaceChange,
+};
@@ -0,0 +1,225 @@
+// TAGHRA - Suggested Place Edits
+// Corrections proposed by users, applied when trusted users agree, the owner approves or a moderator accepts
+
+const { createError } = require('../middleware/errorHandler');
+const { buildSearchColumns } = require('../utils/search');
+const { diffPlace, recordPlaceChange } = require('./placeChanges');
+const { notifyUser } = require('./notifications');
+const { awardPoints } = require('./points');
+const { checkBadges } = require('./badges');
+
+// Request fields a user may suggest and the column each one writes
+const SUGGESTABLE_FIELDS = {
+    name: 'name',
+    address: 'address',
+    phone: 'phone',
+    website: 'website',
+    description: 'description',
+    priceLevel: 'price_level',
+    openingHours: 'opening_hours',
+};
+
+// Columns feeding the normalized search columns
+const SEARCH_SOURCE_COLUMNS = ['name', 'description', 'address'];
+
+// Trusted users (suggester included) who must agree before an edit applies by itself
+const EDIT_AGREEMENT_COUNT = 3;
+
+// Points from which any user counts as trusted; ambassadors and moderators always do
+const TRUSTED_EDITOR_POINTS = 100;
+const TRUSTED_EDITOR_ROLES = ['sub', 'moderator', 'admin'];
+
+// Points for the author of an accepted edit
+const EDIT_POINTS = 2;
+
+/**
+ * Whether a user's agreement counts towards applying an edit
+ * @param {Object} user - req.user (role, points)
+ * @returns {boolean} True for trusted users
+ */
+const isTrustedEditor = (user) => TRUSTED_EDITOR_ROLES.includes(user.role) || (user.points || 0) >= TRUSTED_EDITOR_POINTS;
+
+/**
+ * Format a place_edits row
+ * @param {Object} edit - Row, optionally with user_name, place_name, trusted_agreements and has_agreed
+ * @returns {Object} Edit payload
+ */
+const formatPlaceEdit = (edit) => ({
+    id: edit.id,
+    placeId: edit.place_id,
+    placeName: edit.place_name,
+    changes: edit.changes,
+    note: edit.note,
+    status: edit.status,
+    trustedAgreements: edit.trusted_agreements !== undefined ? parseInt(edit.trusted_agreements) : undefined,
+    agreementsNeeded: EDIT_AGREEMENT_COUNT,
+    hasAgreed: edit.has_agreed,
+    resolvedVia: edit.resolved_via,
+    resolutionNote: edit.resolution_note,
+    resolvedAt: edit.resolved_at,
+    createdAt: edit.created_at,
+    user: { id: edit.user_id, name: edit.user_name },
+});
+
+/**
+ * Load an edit and lock it for the rest of the transaction
+ * @param {Object} client - Transaction client
+ * @param {string} editId - Edit ID
+ * @param {string} placeId - Restrict to this place (optional)
+ * @returns {Promise<Object>} place_edits row
+ */
+const lockPendingEdit = async (client, editId, placeId = null) => {
+    const result = await client.query(`
+    SELECT * FROM place_edits
+    WHERE id = $1 AND ($2::uuid IS NULL OR place_id = $2)
+    FOR UPDATE
+  `, [editId, placeId]);
+
+    if (result.rows.length === 0) {
+        throw createError.notFound('Suggested edit not found');
+    }
+    if (result.rows[0].status !== 'pending') {
+        throw createError.conflict(`Suggested edit already ${result.rows[0].status}`);
+    }
+    return result.rows[0];
+};
+
+/**
+ * Write an edit to its place, award its author and close it
+ * Values that already match the place are skipped; an edit with nothing left to change is still accepted
+ * @param {Object} client - Transaction client
+ * @param {Object} edit - Locked pending place_edits row
+ * @param {Object} resolution - { userId, via: 'agreement'|'owner'|'moderator', note }
+ * @returns {Promise<Object>} { changes, pointsAwarded }
+ */
+const applyPlaceEdit = async (client, edit, { userId = null, via, note = null }) => {
+    const placeResult = await client.query('SELECT * FROM places WHERE id = $1 FOR UPDATE', [edit.place_id]);
+    const current = placeResult.rows[0];
+
+    if (!current || current.archived_at) {
+        throw createError.badRequest('Archived places cannot be edited');
+    }
+
+    const changes = diffPlace(current, edit.proposed);
+
+    if (Object.keys(changes).length > 0) {
+        const sets = [];
+        const values = [];
+        Object.keys(changes).forEach(column => {
+            values.push(column === 'opening_hours' ? JSON.stringify(edit.proposed[column]) : edit.proposed[column]);
+            sets.push(`${column} = $${values.length}`);
+        });
+
+        if (SEARCH_SOURCE_COLUMNS.some(column => changes[column])) {
+            const search = buildSearchColumns({ ...current, ...edit.proposed });
+            Object.entries(search).forEach(([column, value]) => {
+                values.push(value);
+                sets.push(`${column} = $${values.length}`);
+            });
+        }
+
+        values.push(edit.place_id);
+        await client.query(`
+      UPDATE places SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE id = $${values.length}
+    `, values);
+
+        await recordPlaceChange(client, {
+            placeId: edit.place_id,
+            userId: edit.user_id,
+            action: 'suggested_edit',
+            changes,
+        });
+    }
+
+    await client.query(`
+    UPDATE place_edits
+    SET status = 'applied', resolved_via = $1, resolved_by = $2, resolution_note = $3, resolved_at = NOW()
+    WHERE id = $4
+  `, [via, userId, note, edit.id]);
+
+    const pointsAwarded = await awardPoints(client, edit.user_id, EDIT_POINTS, {
+        action: 'place_edit',
+        description: 'Suggested edit applied',
+        referenceType: 'place_edit',
+        referenceId: edit.id,
+    });
+
+    return { changes, pointsAwarded };
+};
+
+/**
+ * Close an edit without applying it
+ * @param {Object} client - Transaction client
+ * @param {Object} edit - Locked pending place_edits row
+ * @param {Object} resolution - { userId, via: 'owner'|'moderator', note }
+ */
+const rejectPlaceEdit = async (client, edit, { userId, via, note = null }) => {
+    await client.query(`
+    UPDATE place_edits
+    SET status = 'rejected', resolved_via = $1, resolved_by = $2, resolution_note = $3, resolved_at = NOW()
+    WHERE id = $4
+  `, [via, userId, note, edit.id]);
+};
+
+/**
+ * Count trusted agreements on an edit and apply it once there are enough
+ * @param {Object} client - Transaction client
+ * @param {Object} edit - Locked pending place_edits row
+ * @returns {Promise<Object>} { trustedAgreements, applied, pointsAwarded }
+ */
+const applyIfAgreed = async (client, edit) => {
+    const result = await client.query(
+        'SELECT COUNT(*) FILTER (WHERE is_trusted) as trusted FROM place_edit_agreements WHERE edit_id = $1',
+        [edit.id]
+    );
+    const trustedAgreements = parseInt(result.rows[0].trusted);
+
+    if (trustedAgreements < EDIT_AGREEMENT_COUNT) {
+        return { trustedAgreements, applied: false, pointsAwarded: 0 };
+    }
+
+    const { pointsAwarded } = await applyPlaceEdit(client, edit, { via: 'agreement' });
+    return { trustedAgreements, applied: true, pointsAwarded };
+};
+
+/**
+ * Tell the author of an edit how it was resolved (after the transaction has committed)
+ * An applied edit may also unlock badges
+ * @param {Object} edit - place_edits row
+ * @param {boolean} applied - Applied or rejected
+ * @param {number} pointsAwarded - Points given for an applied edit
+ * @param {string} reason - Rejection reason
+ */
+const notifyEditAuthor = async (edit, applied, pointsAwarded = 0, reason = null) => {
+    if (!edit.user_id) return;
+
+    await notifyUser(edit.user_id, applied
+        ? {
+            title: 'Your edit was accepted',
+            body: `Thanks for improving the listing! You earned ${pointsAwarded} points.`,
+            type: 'place_edit_applied',
+            data: { editId: edit.id, placeId: edit.place_id },
+        }
+        : {
+            title: 'Your edit was not accepted',
+            body: reason || 'The suggested change was not applied.',
+            type: 'place_edit_rejected',
+            data: { editId: edit.id, placeId: edit.place_id },
+        });
+
+    if (applied) await checkBadges(edit.user_id, 'place_edit');
+};
+
+module.exports = {
+    SUGGESTABLE_FIELDS,
+    EDIT_AGREEMENT_COUNT,
+    EDIT_POINTS,
+    isTrustedEditor,
+    formatPlaceEdit,
+    lockPendingEdit,
+    applyPlaceEdit,
+    rejectPlaceEdit,
+    applyIfAgreed,
+    notifyEditAuthor,
+};
@@ -0,0 +1,201 @@
+// TAGHRA - Place Import / Export
+// Bulk upsert of places keyed by external ID (or place ID for places without one), and filtered exports
+// Shared by the admin endpoints and the db:import-places / db:export-places scripts
+
+const db = require('../config/database');
+const { validatePlaceRecord } = require('../utils/placeFormats');
+const { buildSearchColumns } = require('../utils/search');
+const { diffPlace, recordPlaceChange } = require('./placeChanges');
+
+// Record fields and the places columns they are stored in
+const RECORD_COLUMNS = {
+    name: 'name',
+    category: 'category',
+    address: 'address',
+    city: 'city',
+    description: 'description',
+    phone: 'phone',
+    website: 'website',
+    priceLevel: 'price_level',
+    openingHours: 'opening_hours',
+    features: 'features',
+    tags: 'tags',
+    latitude: 'latitude',
+    longitude: 'longitude',
+};
+
+/**
+ * Columns supplied by a record (fields missing from the file are left untouched on update)
+ * @param {Object} record - Parsed place record
+ * @returns {Object} { column: value }
+ */
+const recordToColumns = (record) => {
+    const columns = {};
+    Object.entries(RECORD_COLUMNS).forEach(([field, column]) => {
+        if (record[field] !== undefined) columns[column] = record[field];
+    });
+    return columns;
+};
+
+/**
+ * Insert or update one place inside a transaction
+ * @param {Object} client - Transaction client
+ * @param {Object} current - Existing row, or null to create
+ * @param {Object} columns - Values from recordToColumns
+ * @param {string} externalId - External ID
+ * @returns {Promise<string>} Place ID
+ */
+const writePlace = async (client, current, columns, externalId) => {
+    const merged = { ...(current || {}), ...columns };
+    const search = buildSearchColumns(merged);
+    const values = [
+        merged.name, merged.category, merged.address, merged.city, merged.description,
+        merged.phone, merged.website, merged.price_level || 2,
+        merged.opening_hours ? JSON.stringify(merged.opening_hours) : null,
+        merged.features || [], merged.tags || [], merged.longitude, merged.latitude,
+        search.search_name, search.search_skeleton, search.search_text,
+    ];
+
+    if (!current) {
+        const result = await client.query(`
+      INSERT INTO places
+      (name, category, address, city, description, phone, website, price_level, opening_hours,
+       features, tags, location, search_name, search_skeleton, search_text, photos, external_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+       ST_SetSRID(ST_MakePoint($12, $13), 4326), $14, $15, $16, '{}', $17)
+      RETURNING id
+    `, [...values, externalId]);
+        return result.rows[0].id;
+    }
+
+    await client.query(`
+    UPDATE places SET
+      name = $1, category = $2, address = $3, city = $4, description = $5, phone = $6,
+      website = $7, price_level = $8, opening_hours = $9, features = $10, tags = $11,
+      location = ST_SetSRID(ST_MakePoint($12, $13), 4326),
+      search_name = $14, search_skeleton = $15, search_text = $16, updated_at = NOW()
+    WHERE id = $17
+  `, [...values, current.id]);
+    return current.id;
+};
+
+/**
+ * Validate and upsert parsed place records by external ID
+ * Invalid rows are skipped and reported; a dry run reports without writing
+ * @param {Array<Object>} entries - [{ row, record }] from parsePlaceFile
+ * @param {Object} options - { dryRun, userId }
+ * @returns {Promise<Object>} Report { dryRun, total, created, updated, unchanged, invalid, errors, rows }
+ */
+const importPlaces = async (entries, { dryRun = false, userId = null } = {}) => {
+    const errors = [];
+    const valid = [];
+    const seen = new Map();
+
+    entries.forEach(({ row, record }) => {
+        const problems = validatePlaceRecord(record);
+        if (record.externalId && seen.has(record.externalId)) {
+            problems.push(`external_id already used on row ${seen.get(record.externalId)}`);
+        }
+        if (record.externalId && !seen.has(record.externalId)) seen.set(record.externalId, row);
+
+        if (problems.length > 0) {
+            errors.push({ row, externalId: record.externalId || null, problems });
+        } else {
+            valid.push({ row, record });
+        }
+    });
+
+    const existingResult = valid.length === 0 ? { rows: [] } : await db.query(`
+    SELECT id, external_id, name, category, address, city, description, phone, website,
+      price_level, opening_hours, features, tags,
+      ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+    FROM places
+    WHERE external_id = ANY($1) OR (external_id IS NULL AND id::text = ANY($1))
+  `, [valid.map(v => v.record.externalId)]);
+    const existing = new Map(existingResult.rows.map(place => [place.external_id || place.id, place]));
+
+    const plan = valid.map(({ row, record }) => {
+        const current = existing.get(record.externalId) || null;
+        const columns = recordToColumns(record);
+        const changes = current ? diffPlace(current, columns) : columns;
+        let action = 'create';
+        if (current) action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+        return { row, externalId: record.externalId, current, columns, changes, action };
+    });
+
+    if (!dryRun) {
+        await db.withTransaction(async (client) => {
+            for (const item of plan) {
+                if (item.action === 'unchanged') continue;
+
+                const placeId = await writePlace(client, item.current, item.columns, item.externalId);
+                item.placeId = placeId;
+                await recordPlaceChange(client, {
+                    placeId,
+                    userId,
+                    action: item.action === 'create' ? 'import_create' : 'import_update',
+                    changes: item.action === 'create' ? diffPlace({}, item.changes) : item.changes,
+                });
+            }
+        });
+    }
+
+    const count = (action) => plan.filter(item => item.action === action).length;
+
+    return {
+        dryRun,
+        total: entries.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        invalid: errors.length,
+        errors,
+        rows: plan.map(item => ({
+            row: item.row,
+            externalId: item.externalId,
+            action: item.action,
+            placeId: item.placeId || item.current?.id || null,
+        })),
+    };
+};
+
+/**
+ * Load places for export
+ * @param {Object} filters - { category, city, bbox: { north, south, east, west }, includeArchived }
+ * @returns {Promise<Array<Object>>} Place rows with latitude/longitude
+ */
+const exportPlaces = async ({ category, city, bbox, includeArchived = false } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (!includeArchived) conditions.push('archived_at IS NULL');
+    if (category) {
+        params.push(category);
+        conditions.push(`category = $${params.length}`);
+    }
+    if (city) {
+        params.push(city);
+        conditions.push(`LOWER(city) = LOWER($${params.length})`);
+    }
+    if (bbox) {
+        params.push(bbox.west, bbox.south, bbox.east, bbox.north);
+        const n = params.length;
+        conditions.push(`location && ST_MakeEnvelope($${n - 3}, $${n - 2}, $${n - 1}, $${n}, 4326)::geography`);
+    }
+
+    const result = await db.query(`
+    SELECT id, external_id, name, category, address, city, description, phone, website,
+      price_level, opening_hours, features, tags, rating, review_count, is_verified,
+      ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+    FROM places
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY city NULLS LAST, name
+  `, params);
+
+    return result.rows;
+};
+
+module.exports = {
+    importPlaces,
+    exportPlaces,
+};
@@ -0,0 +1,168 @@
+// TAGHRA - Points Ledger
+// Every points award, reversal and redemption is a points_history entry written in the caller's transaction;
+// users.points is the sum of those entries, refreshed after each one
+
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Current points of a user
+ * Lock the user row when the points are about to be spent
+ * @param {Object} executor - db module or a transaction client
+ * @param {string} userId - User ID
+ * @param {Object} options - { lock }
+ * @returns {Promise<number>} Balance
+ */
+const getPointsBalance = async (executor, userId, { lock = false } = {}) => {
+    const result = await executor.query(
+        `SELECT points FROM users WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+        [userId]
+    );
+    return result.rows.length > 0 ? result.rows[0].points || 0 : 0;
+};
+
+/**
+ * Recompute a cached balance from the ledger
+ * @param {Object} executor - db module or a transaction client
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Balance
+ */
+const refreshPointsBalance = async (executor, userId) => {
+    const result = await executor.query(`
+    UPDATE users SET points = (
+      SELECT COALESCE(SUM(points), 0) FROM points_history WHERE user_id = $1
+    )
+    WHERE id = $1
+    RETURNING points
+  `, [userId]);
+    return result.rows.length > 0 ? result.rows[0].points : 0;
+};
+
+/**
+ * Write a ledger entry
+ * The user row stays locked until the transaction ends, so entries of one user never interleave
+ * @param {Object} client - Transaction client
+ * @param {string} userId - User ID
+ * @param {number} points - Signed amount
+ * @param {Object} entry - { action, description, referenceType, referenceId }
+ * @returns {Promise<number>} New balance
+ */
+const writeEntry = async (client, userId, points, { action, description, referenceType = null, referenceId = null }) => {
+    const balance = await getPointsBalance(client, userId, { lock: true });
+    if (balance + points < 0) {
+        throw createError.badRequest('Not enough points');
+    }
+
+    await client.query(`
+    INSERT INTO points_history (user_id, points, action, description, reference_type, reference_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [userId, points, action, description, referenceType, referenceId]);
+
+    return refreshPointsBalance(client, userId);
+};
+
+/**
+ * Give points for something the user did
+ * @param {Object} client - Transaction client
+ * @param {string} userId - User ID
+ * @param {number} points - Points earned (nothing is written for 0)
+ * @param {Object} entry - { action, description, referenceType, referenceId }
+ * @returns {Promise<number>} Points awarded
+ */
+const awardPoints = async (client, userId, points, entry) => {
+    if (!userId || points <= 0) return 0;
+
+    await writeEntry(client, userId, points, entry);
+    return points;
+};
+
+/**
+ * Spend points (fails when the balance is too low)
+ * @param {Object} client - Transaction client
+ * @param {string} userId - User ID
+ * @param {number} points - Points spent
+ * @param {Object} entry - { action, description, referenceType, referenceId }
+ */
+const spendPoints = async (client, userId, points, entry) => {
+    if (points <= 0) return;
+
+    await writeEntry(client, userId, -points, entry);
+};
+
+/**
+ * Undo what an action did for a reference (points earned on an order that is cancelled, points spent on it...)
+ * Writes `<action>_reversal` entries for what is left of the action, so a second call changes nothing
+ * Taking back earned points never brings a balance below zero
+ * @param {Object} client - Transaction client
+ * @param {Object} target - { action, referenceType, referenceId, description }
+ * @returns {Promise<number>} Points moved (signed, summed over users)
+ */
+const reversePoints = async (client, { action, referenceType, referenceId, description }) => {
+    const reversal = `${action}_reversal`;
+    const result = await client.query(`
+    SELECT user_id, SUM(points) as points
+    FROM points_history
+    WHERE reference_type = $1 AND reference_id = $2 AND action IN ($3, $4)
+    GROUP BY user_id
+    HAVING SUM(points) <> 0
+  `, [referenceType, referenceId, action, reversal]);
+
+    let moved = 0;
+    for (const row of result.rows) {
+        const outstanding = parseInt(row.points);
+        let points = -outstanding;
+        if (points < 0) {
+            const balance = await getPointsBalance(client, row.user_id, { lock: true });
+            points = Math.max(points, -balance);
+        }
+        if (points === 0) continue;
+
+        await writeEntry(client, row.user_id, points, { action: reversal, description, referenceType, referenceId });
+        moved += points;
+    }
+    return moved;
+};
+
+/**
+ * Pay part of an order with points
+ * @param {Object} client - Transaction client
+ * @param {string} userId - User ID
+ * @param {Object} order - { id, points, placeName }
+ */
+const spendOrderPoints = async (client, userId, { id, points, placeName }) => {
+    await spendPoints(client, userId, points, {
+        action: 'order_redemption',
+        description: `Spent on an order at ${placeName}`,
+        referenceType: 'order',
+        referenceId: id,
+    });
+};
+
+/**
+ * Settle the points of a cancelled order: refund what was spent on it and take back what it earned
+ * @param {Object} client - Transaction client
+ * @param {Object} order - orders row
+ */
+const reverseOrderPoints = async (client, order) => {
+    await reversePoints(client, {
+        action: 'order_redemption',
+        referenceType: 'order',
+        referenceId: order.id,
+        description: 'Refund of points spent on a cancelled order',
+    });
+    await reversePoints(client, {
+        action: 'order',
+        referenceType: 'order',
+        referenceId: order.id,
+        description: 'Points of a cancelled order',
+    });
+};
+
+module.exports = {
+    getPointsBalance,
+    refreshPointsBalance,
+    awardPoints,
+    spendPoints,
+    reversePoints,
+    spendOrderPoints,
+    reverseOrderPoints,
+};
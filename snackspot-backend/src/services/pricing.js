@@ -0,0 +1,113 @@
+// TAGHRA - Order Pricing
+// Validates order lines against the place's menu and prices them; shared by the quote and order creation
+
+const { createError } = require('../middleware/errorHandler');
+const { MODIFIERS_QUERY, groupModifierRows, priceSelections } = require('../utils/modifiers');
+const { PRICING, roundMoney, computeTotals, redeemablePoints } = require('../utils/pricing');
+const { applyCoupon } = require('./coupons');
+const { getPointsBalance } = require('./points');
+
+/**
+ * Price an order
+ * @param {Object} executor - db module or a transaction client
+ * @param {Object} request - { placeId, items: [{ menuItemId, quantity, options }], delivery: { latitude, longitude } | null,
+ *   coupon: coupons row | null, userId, pointsToRedeem, lockPoints (lock the balance before spending it) }
+ * @returns {Promise<Object>} Quote { place, items, subtotal, discount, coupon, serviceFee, deliveryFee, tax,
+ *   pointsRedeemed, pointsDiscount, total, points, fulfillment, distance, currency }
+ */
+const priceOrder = async (executor, {
+    placeId, items, delivery = null, coupon = null, userId, pointsToRedeem = 0, lockPoints = false,
+}) => {
+    const placeParams = [placeId];
+    let distanceColumn = 'NULL::float as distance';
+    if (delivery) {
+        placeParams.push(delivery.longitude, delivery.latitude);
+        distanceColumn = 'ST_Distance(location, ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography) as distance';
+    }
+
+    const placeResult = await executor.query(`
+    SELECT id, name, category, archived_at, ${distanceColumn}
+    FROM places WHERE id = $1
+  `, placeParams);
+
+    if (placeResult.rows.length === 0 || placeResult.rows[0].archived_at) {
+        throw createError.notFound('Place not found');
+    }
+
+    const place = placeResult.rows[0];
+    if (place.category !== 'food') {
+        throw createError.badRequest('This place does not take orders');
+    }
+
+    const itemIds = [...new Set(items.map(i => i.menuItemId))];
+    const menuResult = await executor.query(
+        `SELECT mi.id, mi.name, mi.price, mi.is_available, mc.name as category_name
+     FROM menu_items mi
+     LEFT JOIN menu_categories mc ON mi.category_id = mc.id
+     WHERE mi.id = ANY($1) AND mi.place_id = $2`,
+        [itemIds, placeId]
+    );
+    const menuItemMap = new Map(menuResult.rows.map(m => [m.id, m]));
+
+    const modifierResult = await executor.query(MODIFIERS_QUERY, [itemIds]);
+    const modifiersByItem = groupModifierRows(modifierResult.rows);
+
+    const lines = items.map(item => {
+        const menuItem = menuItemMap.get(item.menuItemId);
+        if (!menuItem) throw createError.badRequest(`Menu item ${item.menuItemId} is not on this menu`);
+        if (!menuItem.is_available) throw createError.badRequest(`${menuItem.name} is not available right now`);
+
+        const { options, priceDelta } = priceSelections(
+            menuItem.name,
+            modifiersByItem.get(item.menuItemId),
+            item.options
+        );
+        // Discounting options (e.g. "no cheese") can lower the price, never below free
+        const unitPrice = Math.max(0, roundMoney(parseFloat(menuItem.price) + priceDelta));
+        return {
+            menuItemId: item.menuItemId,
+            name: menuItem.name,
+            quantity: item.quantity,
+            price: parseFloat(menuItem.price),
+            options,
+            unitPrice,
+            total: roundMoney(unitPrice * item.quantity),
+        };
+    });
+
+    const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+    const distance = place.distance === null ? null : Math.round(place.distance);
+    const discount = coupon ? await applyCoupon(executor, coupon, {
+        userId,
+        place,
+        subtotal,
+        lines: lines.map(line => ({ category: menuItemMap.get(line.menuItemId).category_name, total: line.total })),
+    }) : 0;
+    const totals = computeTotals(subtotal, distance, discount);
+
+    if (totals.deliveryFee === null) {
+        throw createError.badRequest(`This address is beyond the ${PRICING.deliveryMaxKm} km delivery area`);
+    }
+
+    // Points pay last, after tax, and never more than their share of the total
+    const balance = await getPointsBalance(executor, userId, { lock: lockPoints });
+    const redemption = redeemablePoints(pointsToRedeem, balance, totals.total);
+
+    return {
+        place: { id: place.id, name: place.name },
+        items: lines,
+        ...totals,
+        pointsRedeemed: redemption.points,
+        pointsDiscount: redemption.amount,
+        total: roundMoney(totals.total - redemption.amount),
+        points: { balance, maxRedeemable: redemption.maxPoints, value: PRICING.pointValue },
+        coupon: coupon ? { code: coupon.code, description: coupon.description } : null,
+        fulfillment: delivery ? 'delivery' : 'pickup',
+        distance,
+        currency: PRICING.currency,
+    };
+};
+
+module.exports = {
+    priceOrder,
+};
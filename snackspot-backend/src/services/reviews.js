@@ -0,0 +1,68 @@
+// TAGHRA - Review Aggregates
+// Keeps the denormalized rating and review count on places in step with reviews,
+// and links reviews to the purchase or visit that backs them
+
+/**
+ * Weight of a verified review in the place rating (1 = same as any other review)
+ * @returns {number} Weight, at least 1
+ */
+const verifiedWeight = () => {
+    const weight = parseFloat(process.env.VERIFIED_REVIEW_WEIGHT);
+    return Number.isFinite(weight) && weight >= 1 ? weight : 1;
+};
+
+/**
+ * Recompute a place's rating and review count from its reviews
+ * @param {Object} executor - db module or a transaction client (anything with query())
+ * @param {string} placeId - Place ID
+ */
+const refreshPlaceRating = async (executor, placeId) => {
+    await executor.query(`
+    UPDATE places SET
+      rating = COALESCE((
+        SELECT SUM(rating * CASE WHEN is_verified_purchase THEN $2::numeric ELSE 1 END)
+             / SUM(CASE WHEN is_verified_purchase THEN $2::numeric ELSE 1 END)
+        FROM reviews WHERE place_id = $1
+      ), 0),
+      review_count = (SELECT COUNT(*) FROM reviews WHERE place_id = $1)
+    WHERE id = $1
+  `, [placeId, verifiedWeight()]);
+};
+
+/**
+ * Find the most recent delivered order or completed appointment of a user at a place
+ * Appointments booked through /api/appointments/book store the place in doctor_id
+ * @param {Object} executor - db module or a transaction client
+ * @param {string} userId - User ID
+ * @param {string} placeId - Place ID
+ * @returns {Promise<Object|null>} { orderId, appointmentId } or null
+ */
+const findVerifiedPurchase = async (executor, userId, placeId) => {
+    const result = await executor.query(`
+    SELECT * FROM (
+      SELECT id as order_id, NULL::uuid as appointment_id, updated_at
+      FROM orders
+      WHERE user_id = $1 AND place_id = $2 AND status = 'delivered'
+      UNION ALL
+      SELECT NULL::uuid, a.id, a.updated_at
+      FROM appointments a
+      WHERE a.user_id = $1 AND a.status = 'completed'
+        AND (a.place_id = $2 OR a.doctor_id = $2
+             OR a.doctor_id IN (SELECT id FROM doctors WHERE place_id = $2))
+    ) purchases
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `, [userId, placeId]);
+
+    if (result.rows.length === 0) return null;
+
+    return {
+        orderId: result.rows[0].order_id,
+        appointmentId: result.rows[0].appointment_id,
+    };
+};
+
+module.exports = {
+    refreshPlaceRating,
+    findVerifiedPurchase,
+};
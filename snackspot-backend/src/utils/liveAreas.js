@@ -0,0 +1,47 @@
+// TAGHRA - Live Areas
+// Fixed grid of socket rooms so live location updates only reach clients watching that part of the map
+
+// Cell size in degrees (about 11 km north-south)
+const AREA_CELL_SIZE = 0.1;
+
+// Cells one client may watch at once (a 1° x 1° viewport)
+const MAX_AREA_CELLS = 100;
+
+/**
+ * Room of the cell containing a point
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {string} e.g. "area:335:-76"
+ */
+const areaRoom = (latitude, longitude) =>
+    `area:${Math.floor(latitude / AREA_CELL_SIZE)}:${Math.floor(longitude / AREA_CELL_SIZE)}`;
+
+/**
+ * Rooms of every cell overlapping a bounding box
+ * @param {Object} bbox - { north, south, east, west } in degrees
+ * @returns {Array<string>|null} Rooms, or null when the box spans more than MAX_AREA_CELLS
+ */
+const areaRoomsForBounds = ({ north, south, east, west }) => {
+    const rowFrom = Math.floor(south / AREA_CELL_SIZE);
+    const rowTo = Math.floor(north / AREA_CELL_SIZE);
+    const colFrom = Math.floor(west / AREA_CELL_SIZE);
+    const colTo = Math.floor(east / AREA_CELL_SIZE);
+
+    if ((rowTo - rowFrom + 1) * (colTo - colFrom + 1) > MAX_AREA_CELLS) {
+        return null;
+    }
+
+    const rooms = [];
+    for (let row = rowFrom; row <= rowTo; row++) {
+        for (let col = colFrom; col <= colTo; col++) {
+            rooms.push(`area:${row}:${col}`);
+        }
+    }
+    return rooms;
+};
+
+module.exports = {
+    MAX_AREA_CELLS,
+    areaRoom,
+    areaRoomsForBounds,
+};
@@ -0,0 +1,47 @@
+// TAGHRA - Map Clusters
+// Grid sizing for viewport queries: individual markers when zoomed in, clusters when zoomed out
+
+// From this zoom level (street level) every place is returned as its own marker
+const CLUSTER_MAX_ZOOM = 15;
+
+// Approximate on-screen size of a cluster cell, in pixels of a 256px map tile
+const CLUSTER_CELL_PX = 64;
+
+// Markers returned at most for one viewport in places mode
+const MAP_PLACES_LIMIT = 300;
+
+/**
+ * Whether a zoom level should be answered with clusters
+ * @param {number} zoom - Web map zoom level (0 = whole world)
+ * @returns {boolean} True below CLUSTER_MAX_ZOOM
+ */
+const shouldCluster = (zoom) => zoom < CLUSTER_MAX_ZOOM;
+
+/**
+ * Grid cell size in degrees for a zoom level
+ * One tile spans 360 / 2^zoom degrees of longitude, a cell is a fraction of that
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} Cell size in degrees
+ */
+const clusterCellSize = (zoom) => (360 / Math.pow(2, zoom)) * (CLUSTER_CELL_PX / 256);
+
+/**
+ * Validate a bounding box
+ * @param {Object} bbox - { north, south, east, west } in degrees
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validateBounds = ({ north, south, east, west }) => {
+    const problems = [];
+    if (south >= north) problems.push('south must be lower than north');
+    // Viewports crossing the antimeridian are not needed for Morocco
+    if (west >= east) problems.push('west must be lower than east');
+    return problems;
+};
+
+module.exports = {
+    CLUSTER_MAX_ZOOM,
+    MAP_PLACES_LIMIT,
+    shouldCluster,
+    clusterCellSize,
+    validateBounds,
+};
@@ -0,0 +1,152 @@
+// TAGHRA - Menu Modifiers
+// Validation and pricing of selected item options (size, extras, sauces...)
+
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Group modifier rows (one per option, joined with their group) by menu item
+ * @param {Array} rows - Rows with group_* and option_* columns and menu_item_id
+ * @returns {Map} menuItemId -> [{ id, name, isRequired, minSelect, maxSelect, options: [...] }]
+ */
+const groupModifierRows = (rows) => {
+    const byItem = new Map();
+    const groups = new Map();
+
+    rows.forEach(row => {
+        if (!groups.has(row.group_id)) {
+            const group = {
+                id: row.group_id,
+                name: row.group_name,
+                isRequired: row.is_required,
+                minSelect: row.min_select,
+                maxSelect: row.max_select,
+                options: [],
+            };
+            groups.set(row.group_id, group);
+            if (!byItem.has(row.menu_item_id)) byItem.set(row.menu_item_id, []);
+            byItem.get(row.menu_item_id).push(group);
+        }
+
+        if (row.option_id) {
+            groups.get(row.group_id).options.push({
+                id: row.option_id,
+                name: row.option_name,
+                priceDelta: parseFloat(row.price_delta) || 0,
+                isAvailable: row.option_available,
+            });
+        }
+    });
+
+    return byItem;
+};
+
+/**
+ * SQL selecting modifier groups and their options
+ * @param {string} condition - WHERE condition on groups (alias g)
+ * @returns {string} SQL text
+ */
+const buildModifiersQuery = (condition) => `
+  SELECT
+    g.menu_item_id, g.id as group_id, g.name as group_name,
+    g.is_required, g.min_select, g.max_select,
+    o.id as option_id, o.name as option_name, o.price_delta,
+    o.is_available as option_available
+  FROM menu_modifier_groups g
+  LEFT JOIN menu_modifier_options o ON o.group_id = g.id
+  WHERE ${condition}
+  ORDER BY g.sort_order, g.created_at, o.sort_order, o.created_at
+`;
+
+// Modifiers for a set of menu items; $1 is the array of menu item IDs
+const MODIFIERS_QUERY = buildModifiersQuery('g.menu_item_id = ANY($1)');
+
+/**
+ * Effective minimum selections for a group (a required group needs at least one)
+ * @param {Object} group - Modifier group
+ * @returns {number} Minimum selections
+ */
+const minSelections = (group) => Math.max(group.minSelect || 0, group.isRequired ? 1 : 0);
+
+/**
+ * Validate selections for one menu item and price them
+ * @param {string} itemName - Menu item name (for error messages)
+ * @param {Array} groups - Modifier groups of the item
+ * @param {Object} selections - { groupId: optionId | [optionId] } from the order request
+ * @returns {Object} { options: [{ groupId, group, optionId, name, priceDelta }], priceDelta }
+ */
+const priceSelections = (itemName, groups = [], selections = {}) => {
+    if (selections === null || typeof selections !== 'object' || Array.isArray(selections)) {
+        throw createError.badRequest(`Options for ${itemName} must be an object keyed by group`);
+    }
+
+    const groupMap = new Map(groups.map(g => [g.id, g]));
+    const unknownGroup = Object.keys(selections).find(groupId => !groupMap.has(groupId));
+    if (unknownGroup) {
+        throw createError.badRequest(`Unknown option group ${unknownGroup} for ${itemName}`);
+    }
+
+    const options = [];
+
+    groups.forEach(group => {
+        const raw = selections[group.id];
+        const selected = raw === undefined || raw === null ? [] : [].concat(raw);
+
+        if (new Set(selected).size !== selected.length) {
+            throw createError.badRequest(`Duplicate choice in "${group.name}" for ${itemName}`);
+        }
+        if (selected.length < minSelections(group)) {
+            throw createError.badRequest(`Choose at least ${minSelections(group)} in "${group.name}" for ${itemName}`);
+        }
+        if (group.maxSelect && selected.length > group.maxSelect) {
+            throw createError.badRequest(`Choose at most ${group.maxSelect} in "${group.name}" for ${itemName}`);
+        }
+
+        selected.forEach(optionId => {
+            const option = group.options.find(o => o.id === optionId);
+            if (!option) {
+                throw createError.badRequest(`Unknown choice ${optionId} in "${group.name}" for ${itemName}`);
+            }
+            if (!option.isAvailable) {
+                throw createError.badRequest(`"${option.name}" is currently unavailable for ${itemName}`);
+            }
+            options.push({
+                groupId: group.id,
+                group: group.name,
+                optionId: option.id,
+                name: option.name,
+                priceDelta: option.priceDelta,
+            });
+        });
+    });
+
+    const priceDelta = options.reduce((sum, option) => sum + option.priceDelta, 0);
+
+    return { options, priceDelta: Math.round(priceDelta * 100) / 100 };
+};
+
+/**
+ * Validate a modifier group definition sent by an owner
+ * @param {Object} group - { isRequired, minSelect, maxSelect, options }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validateModifierGroup = ({ isRequired = false, minSelect = 0, maxSelect = null, options = [] }) => {
+    const problems = [];
+    const min = Math.max(minSelect, isRequired ? 1 : 0);
+
+    if (maxSelect !== null && maxSelect < min) {
+        problems.push('maxSelect cannot be lower than minSelect');
+    }
+    if (options.length < min) {
+        problems.push(`Group needs at least ${min} option(s)`);
+    }
+
+    return problems;
+};
+
+module.exports = {
+    MODIFIERS_QUERY,
+    buildModifiersQuery,
+    groupModifierRows,
+    priceSelections,
+    validateModifierGroup,
+};
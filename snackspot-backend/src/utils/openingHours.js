@@ -0,0 +1,298 @@
+// TAGHRA - Opening Hours Engine
+// Computes "open now" and the next open/close times in the Africa/Casablanca timezone
+//
+// places.opening_hours format:
+// {
+//   "monday":   [{ "open": "09:00", "close": "14:00" }, { "open": "18:00", "close": "02:00" }],
+//   "tuesday":  { "open": "09:00", "close": "22:00" },
+//   "sunday":   { "closed": true },
+//   "ramadan":  { "monday": [{ "open": "21:00", "close": "03:00" }] },
+//   "holidays": { "closed": true },
+//   "exceptions": { "2026-12-31": [{ "open": "10:00", "close": "16:00" }] }
+// }
+// A close time at or before the open time runs past midnight into the next day.
+// "ramadan" days replace the weekly day during Ramadan, "holidays" replaces it on
+// Moroccan fixed public holidays, and "exceptions" (by local date) override everything.
+
+const TIMEZONE = 'Africa/Casablanca';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+// How far ahead to look for the next opening
+const LOOKAHEAD_DAYS = 8;
+
+/**
+ * Moroccan public holidays with a fixed Gregorian date (MM-DD)
+ * Religious holidays move every year; places list them under "exceptions"
+ */
+const FIXED_HOLIDAYS = [
+    '01-01', // New Year
+    '01-11', // Proclamation of Independence
+    '01-14', // Amazigh New Year
+    '05-01', // Labour Day
+    '07-30', // Throne Day
+    '08-14', // Oued Ed-Dahab Day
+    '08-20', // Revolution of the King and the People
+    '08-21', // Youth Day
+    '10-31', // Unity Day
+    '11-06', // Green March
+    '11-18', // Independence Day
+];
+
+const localFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+});
+
+const hijriFormatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+    timeZone: 'UTC',
+    month: 'numeric',
+});
+
+/**
+ * Get wall-clock parts in Casablanca for an instant
+ * @param {Date} date - Instant
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getLocalParts = (date) => {
+    const parts = {};
+    localFormatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+};
+
+/**
+ * Casablanca UTC offset in minutes at an instant (Morocco drops DST during Ramadan)
+ * @param {Date} date - Instant
+ * @returns {number} Offset in minutes
+ */
+const getOffsetMinutes = (date) => {
+    const p = getLocalParts(date);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / MS_PER_MINUTE);
+};
+
+/**
+ * Convert a local day (UTC-midnight timestamp of the date) plus minutes to a real instant
+ * @param {number} dayMs - Date.UTC of the local date
+ * @param {number} minutes - Minutes after local midnight (may exceed a day)
+ * @returns {Date} Instant
+ */
+const localToInstant = (dayMs, minutes) => {
+    const wallClock = dayMs + minutes * MS_PER_MINUTE;
+    let instant = wallClock - getOffsetMinutes(new Date(wallClock)) * MS_PER_MINUTE;
+    // Second pass in case the guess landed on the other side of an offset change
+    instant = wallClock - getOffsetMinutes(new Date(instant)) * MS_PER_MINUTE;
+    return new Date(instant);
+};
+
+/**
+ * Format a UTC-midnight timestamp as YYYY-MM-DD
+ * @param {number} dayMs - Date.UTC of the date
+ * @returns {string} ISO date
+ */
+const toDateKey = (dayMs) => new Date(dayMs).toISOString().split('T')[0];
+
+/**
+ * Check whether a local date falls in Ramadan
+ * RAMADAN_START / RAMADAN_END (YYYY-MM-DD) override the Umm al-Qura calendar when
+ * the Moroccan moon sighting lands on a different day
+ * @param {number} dayMs - Date.UTC of the local date
+ * @returns {boolean} Whether the date is in Ramadan
+ */
+const isRamadan = (dayMs) => {
+    const { RAMADAN_START, RAMADAN_END } = process.env;
+    const dateKey = toDateKey(dayMs);
+
+    if (RAMADAN_START && RAMADAN_END && dateKey.slice(0, 4) === RAMADAN_START.slice(0, 4)) {
+        return dateKey >= RAMADAN_START && dateKey <= RAMADAN_END;
+    }
+
+    // Sample at midday to stay clear of date boundaries
+    return hijriFormatter.format(new Date(dayMs + 12 * 60 * MS_PER_MINUTE)) === '9';
+};
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes, or null when malformed
+ */
+const parseTime = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+    return hours * 60 + minutes;
+};
+
+/**
+ * Normalize a day entry (single shift, list of shifts, or closed) to a list of shifts
+ * @param {Object|Array|undefined} entry - Day entry from opening_hours
+ * @returns {Array|null} [{ start, end }] in minutes, [] when closed, null when not specified
+ */
+const toShifts = (entry) => {
+    if (entry === undefined || entry === null) return null;
+    if (entry.closed) return [];
+
+    const list = Array.isArray(entry) ? entry : [entry];
+    return list
+        .map(shift => {
+            const start = parseTime(shift.open);
+            const close = parseTime(shift.close);
+            if (start === null || close === null) return null;
+            // Overnight shift: closes at or before it opened, so it ends the next day
+            const end = close <= start ? close + MINUTES_PER_DAY : close;
+            return { start, end };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Resolve the shifts that apply on one local date
+ * @param {Object} openingHours - places.opening_hours
+ * @param {number} dayMs - Date.UTC of the local date
+ * @returns {Array} [{ start, end }] in minutes after that date's midnight
+ */
+const getShiftsForDate = (openingHours, dayMs) => {
+    const dateKey = toDateKey(dayMs);
+    const dayName = DAY_NAMES[new Date(dayMs).getUTCDay()];
+
+    const exception = toShifts(openingHours.exceptions?.[dateKey]);
+    if (exception) return exception;
+
+    if (openingHours.holidays && FIXED_HOLIDAYS.includes(dateKey.slice(5))) {
+        const holiday = toShifts(openingHours.holidays);
+        if (holiday) return holiday;
+    }
+
+    if (openingHours.ramadan && isRamadan(dayMs)) {
+        const ramadan = toShifts(openingHours.ramadan[dayName]);
+        if (ramadan) return ramadan;
+    }
+
+    return toShifts(openingHours[dayName]) || [];
+};
+
+/**
+ * Build merged open intervals (in ms since epoch) around an instant
+ * @param {Object} openingHours - places.opening_hours
+ * @param {Date} now - Reference instant
+ * @returns {Array} Sorted, non-overlapping [{ start, end }] instants
+ */
+const buildIntervals = (openingHours, now) => {
+    const p = getLocalParts(now);
+    const todayMs = Date.UTC(p.year, p.month - 1, p.day);
+    const intervals = [];
+
+    // Start from yesterday so overnight shifts still count after midnight
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+        const dayMs = todayMs + offset * MINUTES_PER_DAY * MS_PER_MINUTE;
+        getShiftsForDate(openingHours, dayMs).forEach(shift => {
+            intervals.push({
+                start: localToInstant(dayMs, shift.start).getTime(),
+                end: localToInstant(dayMs, shift.end).getTime(),
+            });
+        });
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+
+    // Merge back-to-back shifts (e.g. 18:00-24:00 then 00:00-02:00)
+    return intervals.reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+        return merged;
+    }, []);
+};
+
+/**
+ * Compute open status for a place
+ * @param {Object|null} openingHours - places.opening_hours
+ * @param {Date} now - Reference instant (defaults to current time)
+ * @returns {Object} { isOpen: boolean, opensAt: string|null, closesAt: string|null } (ISO instants)
+ */
+const getOpenStatus = (openingHours, now = new Date()) => {
+    if (!openingHours || typeof openingHours !== 'object') {
+        return { isOpen: false, opensAt: null, closesAt: null };
+    }
+
+    const nowMs = now.getTime();
+    const intervals = buildIntervals(openingHours, now);
+
+    const current = intervals.find(i => i.start <= nowMs && nowMs < i.end);
+    if (current) {
+        return {
+            isOpen: true,
+            opensAt: null,
+            closesAt: new Date(current.end).toISOString(),
+        };
+    }
+
+    const next = intervals.find(i => i.start > nowMs);
+    return {
+        isOpen: false,
+        opensAt: next ? new Date(next.start).toISOString() : null,
+        closesAt: null,
+    };
+};
+
+/**
+ * Validate an opening_hours object before it is stored
+ * @param {Object} openingHours - Candidate opening_hours
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validateOpeningHours = (openingHours) => {
+    const problems = [];
+
+    if (!openingHours || typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+        return ['Opening hours must be an object'];
+    }
+
+    const checkEntry = (label, entry) => {
+        if (entry === undefined || entry === null || entry.closed) return;
+        const list = Array.isArray(entry) ? entry : [entry];
+        list.forEach((shift, index) => {
+            if (parseTime(shift?.open) === null || parseTime(shift?.close) === null) {
+                problems.push(`${label}[${index}] needs "open" and "close" as HH:MM`);
+            }
+        });
+    };
+
+    DAY_NAMES.forEach(day => checkEntry(day, openingHours[day]));
+    DAY_NAMES.forEach(day => checkEntry(`ramadan.${day}`, openingHours.ramadan?.[day]));
+    checkEntry('holidays', openingHours.holidays);
+
+    Object.entries(openingHours.exceptions || {}).forEach(([date, entry]) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            problems.push(`exceptions key "${date}" must be YYYY-MM-DD`);
+        }
+        checkEntry(`exceptions.${date}`, entry);
+    });
+
+    return problems;
+};
+
+module.exports = {
+    TIMEZONE,
+    getOpenStatus,
+    getShiftsForDate,
+    isRamadan,
+    validateOpeningHours,
+};
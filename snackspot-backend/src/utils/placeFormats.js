@@ -0,0 +1,304 @@
+// TAGHRA - Place Data Formats
+// Parsing, validation and serialization of place files (GeoJSON and CSV)
+// Both formats share the same snake_case field names, listed in PLACE_FILE_FIELDS
+
+const { validateOpeningHours } = require('./openingHours');
+
+const PLACE_CATEGORIES = ['food', 'health', 'vet', 'admin'];
+
+// Fields read on import and written on export (CSV header order)
+const PLACE_FILE_FIELDS = [
+    'external_id', 'name', 'category', 'address', 'city', 'latitude', 'longitude',
+    'description', 'phone', 'website', 'price_level', 'opening_hours', 'features', 'tags',
+];
+
+// Export adds read-only fields around the importable ones
+const EXPORT_FIELDS = ['id', ...PLACE_FILE_FIELDS, 'rating', 'review_count', 'is_verified'];
+
+// List values inside a CSV cell are separated by this character
+const CSV_LIST_SEPARATOR = ';';
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCSVRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const content = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Convert raw file values into a place record
+ * @param {Object} raw - Values keyed by file field name
+ * @returns {Object} Record with typed values (undefined when absent)
+ */
+const toRecord = (raw) => {
+    const text = (value) => {
+        if (value === undefined || value === null) return undefined;
+        const trimmed = String(value).trim();
+        return trimmed === '' ? undefined : trimmed;
+    };
+    const number = (value) => (text(value) === undefined ? undefined : Number(value));
+    const list = (value) => {
+        if (Array.isArray(value)) return value.map(String).map(v => v.trim()).filter(Boolean);
+        const joined = text(value);
+        return joined === undefined ? undefined : joined.split(CSV_LIST_SEPARATOR).map(v => v.trim()).filter(Boolean);
+    };
+    const json = (value) => {
+        if (value !== null && typeof value === 'object') return value;
+        const raw = text(value);
+        if (raw === undefined) return undefined;
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw; // Left as a string, reported by validatePlaceRecord
+        }
+    };
+
+    return {
+        externalId: text(raw.external_id),
+        name: text(raw.name),
+        category: text(raw.category)?.toLowerCase(),
+        address: text(raw.address),
+        city: text(raw.city),
+        latitude: number(raw.latitude),
+        longitude: number(raw.longitude),
+        description: text(raw.description),
+        phone: text(raw.phone),
+        website: text(raw.website),
+        priceLevel: number(raw.price_level),
+        openingHours: json(raw.opening_hours),
+        features: list(raw.features),
+        tags: list(raw.tags),
+    };
+};
+
+/**
+ * Parse a CSV place file
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<Object>} [{ row, record }] where row is the 1-based line of data
+ */
+const parseCSV = (text) => {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    return rows.map((cells, index) => {
+        const raw = {};
+        columns.forEach((column, i) => { raw[column] = cells[i]; });
+        return { row: index + 1, record: toRecord(raw) };
+    });
+};
+
+/**
+ * Parse a GeoJSON place file (FeatureCollection of Point features)
+ * @param {string|Object} input - GeoJSON text or object
+ * @returns {Array<Object>} [{ row, record }] where row is the 1-based feature index
+ */
+const parseGeoJSON = (input) => {
+    const collection = typeof input === 'string' ? JSON.parse(input) : input;
+
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        throw new Error('Expected a GeoJSON FeatureCollection');
+    }
+
+    return collection.features.map((feature, index) => {
+        const properties = feature?.properties || {};
+        const geometry = feature?.geometry;
+        const isPoint = geometry?.type === 'Point' && Array.isArray(geometry.coordinates);
+
+        return {
+            row: index + 1,
+            record: toRecord({
+                ...properties,
+                // Coordinates are [longitude, latitude]
+                longitude: isPoint ? geometry.coordinates[0] : undefined,
+                latitude: isPoint ? geometry.coordinates[1] : undefined,
+            }),
+        };
+    });
+};
+
+/**
+ * Parse a place file by format
+ * @param {string} format - 'geojson' or 'csv'
+ * @param {string} text - File content
+ * @returns {Array<Object>} [{ row, record }]
+ */
+const parsePlaceFile = (format, text) => (format === 'csv' ? parseCSV(text) : parseGeoJSON(text));
+
+/**
+ * Guess a file format from its name
+ * @param {string} filename - File name
+ * @returns {string|null} 'geojson', 'csv' or null
+ */
+const formatFromFilename = (filename = '') => {
+    const extension = filename.toLowerCase().split('.').pop();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'geojson' || extension === 'json') return 'geojson';
+    return null;
+};
+
+/**
+ * Validate an imported place record
+ * @param {Object} record - Output of toRecord
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validatePlaceRecord = (record) => {
+    const problems = [];
+    const isBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+    if (!record.externalId) problems.push('external_id is required');
+    else if (record.externalId.length > 100) problems.push('external_id is longer than 100 characters');
+
+    if (!record.name || record.name.length < 2 || record.name.length > 100) {
+        problems.push('name must be 2 to 100 characters');
+    }
+    if (!PLACE_CATEGORIES.includes(record.category)) {
+        problems.push(`category must be one of ${PLACE_CATEGORIES.join(', ')}`);
+    }
+    if (!record.address || record.address.length > 500) {
+        problems.push('address is required (max 500 characters)');
+    }
+    if (record.city && record.city.length > 100) problems.push('city is longer than 100 characters');
+    if (!isBetween(record.latitude, -90, 90)) problems.push('latitude must be between -90 and 90');
+    if (!isBetween(record.longitude, -180, 180)) problems.push('longitude must be between -180 and 180');
+    if (record.phone && record.phone.length > 20) problems.push('phone is longer than 20 characters');
+    if (record.website && record.website.length > 255) problems.push('website is longer than 255 characters');
+    if (record.priceLevel !== undefined && !(Number.isInteger(record.priceLevel) && isBetween(record.priceLevel, 1, 4))) {
+        problems.push('price_level must be an integer from 1 to 4');
+    }
+
+    if (record.openingHours !== undefined) {
+        if (typeof record.openingHours !== 'object') {
+            problems.push('opening_hours must be JSON');
+        } else {
+            validateOpeningHours(record.openingHours).forEach(problem => problems.push(`opening_hours: ${problem}`));
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Escape a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = Array.isArray(value)
+        ? value.join(CSV_LIST_SEPARATOR)
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Values of an exported place row keyed by file field
+ * @param {Object} place - Place row with latitude/longitude selected
+ * @returns {Object} File fields
+ */
+const toFileFields = (place) => ({
+    id: place.id,
+    // Places created in the app have no external ID; their own ID lets the file be imported back
+    external_id: place.external_id || place.id,
+    name: place.name,
+    category: place.category,
+    address: place.address,
+    city: place.city,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    description: place.description,
+    phone: place.phone,
+    website: place.website,
+    price_level: place.price_level,
+    opening_hours: place.opening_hours,
+    features: place.features || [],
+    tags: place.tags || [],
+    rating: parseFloat(place.rating) || 0,
+    review_count: place.review_count,
+    is_verified: place.is_verified,
+});
+
+/**
+ * Serialize places to CSV
+ * @param {Array<Object>} places - Place rows
+ * @returns {string} CSV with a header row
+ */
+const toCSV = (places) => {
+    const lines = places.map(place => {
+        const fields = toFileFields(place);
+        return EXPORT_FIELDS.map(column => csvCell(fields[column])).join(',');
+    });
+    return [EXPORT_FIELDS.join(','), ...lines].join('\r\n') + '\r\n';
+};
+
+/**
+ * Serialize places to a GeoJSON FeatureCollection
+ * @param {Array<Object>} places - Place rows
+ * @returns {Object} FeatureCollection
+ */
+const toGeoJSON = (places) => ({
+    type: 'FeatureCollection',
+    features: places.map(place => {
+        const { latitude, longitude, ...properties } = toFileFields(place);
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [longitude, latitude] },
+            properties,
+        };
+    }),
+});
+
+module.exports = {
+    PLACE_FILE_FIELDS,
+    parseCSV,
+    parseGeoJSON,
+    parsePlaceFile,
+    formatFromFilename,
+    validatePlaceRecord,
+    toCSV,
+    toGeoJSON,
+};
@@ -0,0 +1,99 @@
+// TAGHRA - Pricing
+// Fee and tax rules for orders, configured from the environment (amounts in MAD)
+
+/**
+ * Read a numeric setting
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default when unset or not a number
+ * @returns {number} Value
+ */
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+const PRICING = {
+    currency: 'MAD',
+    // Share of the subtotal, never below the minimum
+    serviceFeeRate: envNumber('SERVICE_FEE_RATE', 0.05),
+    serviceFeeMin: envNumber('SERVICE_FEE_MIN', 1),
+    // Base fee covering the first deliveryIncludedKm, then a price per started kilometre
+    deliveryBaseFee: envNumber('DELIVERY_BASE_FEE', 10),
+    deliveryIncludedKm: envNumber('DELIVERY_INCLUDED_KM', 2),
+    deliveryFeePerKm: envNumber('DELIVERY_FEE_PER_KM', 3),
+    deliveryMaxKm: envNumber('DELIVERY_MAX_KM', 15),
+    // VAT applied to the subtotal and fees
+    taxRate: envNumber('TAX_RATE', 0.1),
+    // Loyalty points pay part of the total: pointValue per point, at most pointsMaxShare of it
+    pointValue: envNumber('POINTS_VALUE', 0.1),
+    pointsMaxShare: envNumber('POINTS_MAX_SHARE', 0.5),
+};
+
+/**
+ * Round an amount to centimes
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Delivery fee for a distance
+ * @param {number} distanceMeters - Road-agnostic distance between place and customer
+ * @returns {number|null} Fee, or null when the distance is beyond deliveryMaxKm
+ */
+const deliveryFeeFor = (distanceMeters) => {
+    const km = distanceMeters / 1000;
+    if (km > PRICING.deliveryMaxKm) return null;
+
+    const extraKm = Math.max(0, Math.ceil(km - PRICING.deliveryIncludedKm));
+    return roundMoney(PRICING.deliveryBaseFee + extraKm * PRICING.deliveryFeePerKm);
+};
+
+/**
+ * Fees, tax and total for a subtotal
+ * The service fee is charged on the full subtotal; tax and total apply after the discount
+ * @param {number} subtotal - Sum of the order lines
+ * @param {number|null} distanceMeters - Delivery distance, or null for pickup
+ * @param {number} discount - Coupon discount, at most the subtotal
+ * @returns {Object} { subtotal, discount, serviceFee, deliveryFee, tax, total } (deliveryFee is null when out of range)
+ */
+const computeTotals = (subtotal, distanceMeters = null, discount = 0) => {
+    const serviceFee = roundMoney(Math.max(subtotal * PRICING.serviceFeeRate, PRICING.serviceFeeMin));
+    const deliveryFee = distanceMeters === null ? 0 : deliveryFeeFor(distanceMeters);
+    const taxable = subtotal - discount + serviceFee + (deliveryFee || 0);
+    const tax = roundMoney(taxable * PRICING.taxRate);
+
+    return {
+        subtotal: roundMoney(subtotal),
+        discount: roundMoney(discount),
+        serviceFee,
+        deliveryFee,
+        tax,
+        total: roundMoney(taxable + tax),
+    };
+};
+
+/**
+ * Points a customer may spend on an amount, and what they pay
+ * Counted in centimes so the cap is exact
+ * @param {number} requested - Points the customer wants to spend
+ * @param {number} balance - Points the customer has
+ * @param {number} amountDue - Total before points
+ * @returns {Object} { points, amount, maxPoints } (maxPoints: the most this customer could spend here)
+ */
+const redeemablePoints = (requested, balance, amountDue) => {
+    const capCentimes = Math.round(amountDue * PRICING.pointsMaxShare * 100);
+    const pointCentimes = Math.round(PRICING.pointValue * 100);
+    const maxPoints = pointCentimes > 0 ? Math.min(balance, Math.floor(capCentimes / pointCentimes)) : 0;
+    const points = Math.max(0, Math.min(requested, maxPoints));
+
+    return { points, amount: roundMoney(points * PRICING.pointValue), maxPoints };
+};
+
+module.exports = {
+    PRICING,
+    roundMoney,
+    deliveryFeeFor,
+    computeTotals,
+    redeemablePoints,
+};
@@ -0,0 +1,222 @@
+// TAGHRA - Search Normalization
+// Folds Arabic, French and Darija (Latin script) spellings into one comparable form
+
+/**
+ * Arabic letter variants collapsed before transliteration
+ */
+const ARABIC_VARIANTS = {
+    'أ': 'ا',
+    'إ': 'ا',
+    'آ': 'ا',
+    'ٱ': 'ا',
+    'ى': 'ي',
+    'ؤ': 'و',
+    'ئ': 'ي',
+};
+
+/**
+ * Arabic to Latin transliteration, following common Moroccan (French-influenced) spelling
+ */
+const ARABIC_TO_LATIN = {
+    'ا': 'a',
+    'ب': 'b',
+    'ت': 't',
+    'ث': 't',
+    'ج': 'j',
+    'ح': 'h',
+    'خ': 'kh',
+    'د': 'd',
+    'ذ': 'd',
+    'ر': 'r',
+    'ز': 'z',
+    'س': 's',
+    'ش': 'ch',
+    'ص': 's',
+    'ض': 'd',
+    'ط': 't',
+    'ظ': 'd',
+    'ع': 'a',
+    'غ': 'gh',
+    'ف': 'f',
+    'ق': 'k',
+    'ك': 'k',
+    'ل': 'l',
+    'م': 'm',
+    'ن': 'n',
+    'ه': 'h',
+    'ة': 'a',
+    'و': 'u',
+    'ي': 'i',
+    'ء': '',
+    'ڤ': 'v',
+    'گ': 'g',
+    'ڭ': 'g',
+    'پ': 'p',
+};
+
+/**
+ * Darija "chat alphabet" digits and the sounds they stand for
+ */
+const DARIJA_DIGITS = {
+    '2': '',
+    '3': 'a',
+    '5': 'kh',
+    '6': 't',
+    '7': 'h',
+    '8': 'gh',
+    '9': 'k',
+};
+
+/**
+ * Latin spelling variants folded to a single form, applied in order
+ */
+const LATIN_FOLDS = [
+    [/sh/g, 'ch'],
+    [/dj/g, 'j'],
+    [/ph/g, 'f'],
+    [/th/g, 't'],
+    [/dh/g, 'd'],
+    [/ck/g, 'k'],
+    [/q/g, 'k'],
+    [/x/g, 'ks'],
+    [/c(?=[ei])/g, 's'],
+    [/c(?!h)/g, 'k'],
+    [/g(?=[ei])/g, 'j'],
+    [/ou|oo/g, 'u'],
+    [/w/g, 'u'],
+    [/y/g, 'i'],
+    [/([a-z])\1+/g, '$1'],
+    [/(\w{3,})e\b/g, '$1'],
+];
+
+// Arabic tashkeel, superscript alef and tatweel
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/g;
+// Latin combining accents left over after NFD decomposition
+const LATIN_MARKS = /[\u0300-\u036F]/g;
+// Darija digits only count when they sit inside a word ("3asir", "7out"), not in "3 rue"
+const DARIJA_DIGIT_IN_WORD = /(?<=[a-z])[235-9]|[235-9](?=[a-z])/g;
+
+/**
+ * Normalize text into a lowercase Latin search form
+ * "Ṭājīn", "طاجين", "tajine" and "tagine" all become "tajin"
+ * @param {string} text - Raw text in Arabic, French or Darija
+ * @returns {string} Normalized text (words separated by single spaces)
+ */
+const normalizeText = (text) => {
+    if (!text) return '';
+
+    let value = String(text)
+        .toLowerCase()
+        .replace(ARABIC_MARKS, '')
+        .replace(/[\u0622\u0623\u0625\u0671\u0649\u0624\u0626]/g, (char) => ARABIC_VARIANTS[char])
+        .replace(/[\u0621-\u064A\u067E\u06A4\u06AD\u06AF]/g, (char) => ARABIC_TO_LATIN[char] ?? char)
+        .replace(/œ/g, 'oe')
+        .replace(/æ/g, 'ae')
+        .normalize('NFD')
+        .replace(LATIN_MARKS, '')
+        .replace(DARIJA_DIGIT_IN_WORD, (digit) => DARIJA_DIGITS[digit]);
+
+    LATIN_FOLDS.forEach(([pattern, replacement]) => {
+        value = value.replace(pattern, replacement);
+    });
+
+    return value
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+/**
+ * Reduce normalized text to its consonant skeleton
+ * Arabic script rarely writes short vowels, so "كباب" (kbab) and "kebab" only meet here
+ * @param {string} normalized - Output of normalizeText
+ * @returns {string} Consonant skeleton
+ */
+const toSkeleton = (normalized) => {
+    return normalized
+        .split(' ')
+        .map(word => word.replace(/[aeiou]/g, '').replace(/([a-z])\1+/g, '$1') || word)
+        .join(' ');
+};
+
+/**
+ * Build the normalized search columns stored on a place row
+ * Call this whenever name, description, address or tags change
+ * @param {Object} place - Place fields (name, description, address, tags)
+ * @returns {Object} { search_name, search_skeleton, search_text }
+ */
+const buildSearchColumns = (place) => {
+    const searchName = normalizeText(place.name);
+    const searchText = [place.name, ...(place.tags || []), place.address, place.description]
+        .map(normalizeText)
+        .filter(Boolean)
+        .join(' ');
+
+    return {
+        search_name: searchName,
+        search_skeleton: toSkeleton(searchName),
+        search_text: searchText,
+    };
+};
+
+/**
+ * Trigram set of a string, padded like pg_trgm so word edges count
+ * @param {string} value - Normalized text
+ * @returns {Set<string>} Trigrams
+ */
+const trigrams = (value) => {
+    const grams = new Set();
+    value.split(' ').filter(Boolean).forEach(word => {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    });
+    return grams;
+};
+
+/**
+ * Similarity of two names between 0 and 1, across scripts and spellings
+ * Compares trigrams of the normalized names. Skeletons drop vowels, so "Amine" and "Imane" share one:
+ * the skeleton score is down-weighted like in /search and can only reinforce a normalized match
+ * @param {string} a - First name (raw)
+ * @param {string} b - Second name (raw)
+ * @returns {number} Similarity between 0 and 1
+ */
+const nameSimilarity = (a, b) => {
+    const jaccard = (x, y) => {
+        const gx = trigrams(x);
+        const gy = trigrams(y);
+        if (gx.size === 0 || gy.size === 0) return 0;
+        let shared = 0;
+        gx.forEach(gram => { if (gy.has(gram)) shared++; });
+        return shared / (gx.size + gy.size - shared);
+    };
+
+    const na = normalizeText(a);
+    const nb = normalizeText(b);
+    if (na && na === nb) return 1;
+
+    const normalized = jaccard(na, nb);
+    const skeleton = jaccard(toSkeleton(na), toSkeleton(nb)) * 0.8;
+    return Math.max(normalized, Math.sqrt(normalized * skeleton));
+};
+
+/**
+ * Blend text relevance with proximity into a single ranking score
+ * @param {number} relevance - Text relevance between 0 and 1
+ * @param {number|null} distance - Distance in meters, or null when no location given
+ * @returns {number} Score between 0 and 1
+ */
+const rankScore = (relevance, distance) => {
+    if (distance === null || distance === undefined) return relevance;
+
+    // Proximity is 1 on the spot and 0.5 at 2km
+    const proximity = 1 / (1 + distance / 2000);
+    return relevance * 0.7 + proximity * 0.3;
+};
+
+module.exports = {
+    normalizeText,
+    toSkeleton,
+    buildSearchColumns,
+    rankScore,
+    nameSimilarity,
+};